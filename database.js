@@ -148,6 +148,139 @@ export async function initializeTables() {
       );
     `);
 
+    // Availability used by the admin product tools; 'sold' once a paid order covers the product
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS status VARCHAR(50) DEFAULT 'available';`);
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS is_available INTEGER DEFAULT 1;`);
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS sold_at TIMESTAMP;`);
+
+    // Brands products may be listed under (products.brand holds the name),
+    // optionally under a parent brand, plus other spellings that mean them
+    await query(`
+      CREATE TABLE IF NOT EXISTS brands (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        logo_url TEXT,
+        parent_id INTEGER REFERENCES brands(id) ON DELETE SET NULL,
+        created_at TIMESTAMP NOT NULL
+      );
+    `);
+    await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_brands_name ON brands(LOWER(name));`);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS brand_aliases (
+        id SERIAL PRIMARY KEY,
+        brand_id INTEGER NOT NULL,
+        alias VARCHAR(100) NOT NULL,
+        FOREIGN KEY(brand_id) REFERENCES brands(id) ON DELETE CASCADE
+      );
+    `);
+    await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_brand_aliases_alias ON brand_aliases(LOWER(alias));`);
+
+    // A new catalog starts with the brands that used to be hard-coded. This
+    // runs once, when the catalog is first created: existing products take
+    // the catalog's spelling of their brand, and any brand already on a
+    // product but missing from the catalog is added to it. From then on,
+    // product forms and imports only accept catalog brands.
+    const { rows: [{ count: brandCount }] } = await query('SELECT COUNT(*)::integer as count FROM brands');
+    if (brandCount === 0) {
+      await query(`
+        INSERT INTO brands (name, created_at)
+        SELECT unnest($1::text[]), CURRENT_TIMESTAMP
+      `, [[
+        'Nike', 'Adidas', 'Reebok', 'New Balance', 'Jordan', 'Yeezy', 'Off-White', 'Supreme',
+        'Travis Scott', 'Balenciaga', 'Golden Goose', 'Fragment', 'Sacai', 'Human Race'
+      ]]);
+      await query(`
+        UPDATE brands b SET parent_id = parent.id
+        FROM (VALUES ('Jordan', 'Nike'), ('Yeezy', 'Adidas')) v(child, parent_name)
+        JOIN brands parent ON parent.name = v.parent_name
+        WHERE b.name = v.child
+      `);
+      await query(`
+        INSERT INTO brand_aliases (brand_id, alias)
+        SELECT b.id, v.alias
+        FROM (VALUES ('Jordan', 'Air Jordan'), ('New Balance', 'NB'), ('Off-White', 'Off White')) v(brand_name, alias)
+        JOIN brands b ON b.name = v.brand_name
+      `);
+      await query(`
+        UPDATE products p SET brand = b.name
+        FROM brands b
+        WHERE p.brand <> b.name AND (
+          LOWER(TRIM(p.brand)) = LOWER(b.name)
+          OR EXISTS (SELECT 1 FROM brand_aliases a WHERE a.brand_id = b.id AND LOWER(a.alias) = LOWER(TRIM(p.brand)))
+        )
+      `);
+      await query(`
+        INSERT INTO brands (name, created_at)
+        SELECT DISTINCT ON (LOWER(TRIM(p.brand))) TRIM(p.brand), CURRENT_TIMESTAMP
+        FROM products p
+        WHERE TRIM(p.brand) <> ''
+          AND NOT EXISTS (SELECT 1 FROM brands b WHERE LOWER(b.name) = LOWER(TRIM(p.brand)))
+      `);
+    }
+
+    // Whether buyers may send best offers on the product
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS accepts_offers INTEGER DEFAULT 0;`);
+
+    // Full-text search document for catalog search: brand and name weigh
+    // most, then SKU, then the description
+    await query(`
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', COALESCE(brand, '') || ' ' || COALESCE(name, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(sku, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+      ) STORED;
+    `);
+
+    // Condition grading: ds/vnds/used with a 1-10 rating for worn pairs, the
+    // box it ships in, and the accessories included (JSON array of keys)
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS condition VARCHAR(20);`);
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS condition_rating INTEGER;`);
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS box_condition VARCHAR(20);`);
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS accessories TEXT;`);
+
+    // Authentication: pending until an admin records passed or failed
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS auth_status VARCHAR(20) DEFAULT 'pending';`);
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS auth_verified_by INTEGER REFERENCES users(id) ON DELETE SET NULL;`);
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS auth_verified_at TIMESTAMP;`);
+    await query(`ALTER TABLE products ADD COLUMN IF NOT EXISTS auth_notes TEXT;`);
+
+    // Flaws worth disclosing to buyers, each with an optional photo
+    await query(`
+      CREATE TABLE IF NOT EXISTS product_flaws (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL,
+        description TEXT NOT NULL,
+        image_url TEXT,
+        created_at TIMESTAMP NOT NULL,
+        FOREIGN KEY(product_id) REFERENCES products(id) ON DELETE CASCADE
+      );
+    `);
+
+    // Sizes of a product, each with its own stock and optional Buy It Now price
+    await query(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL,
+        size VARCHAR(50) NOT NULL,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        price INTEGER,
+        is_available INTEGER DEFAULT 1,
+        created_at TIMESTAMP NOT NULL,
+        UNIQUE(product_id, size),
+        FOREIGN KEY(product_id) REFERENCES products(id) ON DELETE CASCADE
+      );
+    `);
+
+    // Products from before sizes became variants turn into one-size products
+    await query(`
+      INSERT INTO product_variants (product_id, size, quantity, price, is_available, created_at)
+      SELECT p.id, TRIM(p.size), CASE WHEN p.status = 'sold' THEN 0 ELSE 1 END, NULL, 1, CURRENT_TIMESTAMP
+      FROM products p
+      WHERE TRIM(COALESCE(p.size, '')) <> ''
+        AND NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+    `);
+
     await query(`
       CREATE TABLE IF NOT EXISTS auctions (
         id SERIAL PRIMARY KEY,
@@ -175,6 +308,105 @@ export async function initializeTables() {
       );
     `);
 
+    // Soft close: late bids push end_time out so auctions can't be sniped
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS soft_close_minutes INTEGER DEFAULT 0;`);
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS soft_close_extension_minutes INTEGER DEFAULT 0;`);
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS extension_count INTEGER DEFAULT 0;`);
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS original_end_time TIMESTAMP;`);
+
+    // Hidden minimum price the auction must reach to sell
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS reserve_price INTEGER;`);
+
+    // Outcome recorded when an auction is closed
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS winner_user_id INTEGER REFERENCES users(id);`);
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS end_reason VARCHAR(50);`);
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP;`);
+
+    // Per-auction bid increment table (JSON); falls back to the site-wide table
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS bid_increments TEXT;`);
+
+    // Sealed-bid auctions keep bids hidden until close; the winner pays their
+    // own bid ('first') or the runner-up's ('second')
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS auction_type VARCHAR(20) DEFAULT 'standard';`);
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS sealed_price_rule VARCHAR(20) DEFAULT 'first';`);
+
+    // Relist rules: an auction that ends unsold is relisted up to relist_max
+    // times, each time with the starting bid lowered by relist_drop_percent.
+    // relist_count is how many relists led to this auction.
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS relist_max INTEGER DEFAULT 0;`);
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS relist_drop_percent INTEGER DEFAULT 0;`);
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS relist_count INTEGER DEFAULT 0;`);
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS relisted_from_auction_id INTEGER REFERENCES auctions(id);`);
+
+    // The size an auction sells one pair of; NULL for products without sizes and for lots
+    await query(`ALTER TABLE auctions ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;`);
+
+    // Bids placed automatically on a bidder's behalf by the proxy engine
+    await query(`ALTER TABLE bids ADD COLUMN IF NOT EXISTS is_proxy INTEGER DEFAULT 0;`);
+
+    // Where a bid came from (read by the bid-pattern analyzer), and voiding:
+    // voided bids stay on record but no longer count toward the price
+    await query(`ALTER TABLE bids ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);`);
+    await query(`ALTER TABLE bids ADD COLUMN IF NOT EXISTS session_id VARCHAR(128);`);
+    await query(`ALTER TABLE bids ADD COLUMN IF NOT EXISTS voided_at TIMESTAMP;`);
+    await query(`ALTER TABLE bids ADD COLUMN IF NOT EXISTS void_reason TEXT;`);
+
+    // Every retraction, admin cancellation or voiding of a bidder's bids, with
+    // the price and leader before and after the auction was repriced
+    await query(`
+      CREATE TABLE IF NOT EXISTS bid_audit_log (
+        id SERIAL PRIMARY KEY,
+        auction_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        actor_id INTEGER,
+        action VARCHAR(20) NOT NULL,
+        note TEXT,
+        bids_voided INTEGER DEFAULT 0,
+        max_amount INTEGER,
+        previous_bid INTEGER,
+        previous_leader_id INTEGER,
+        new_bid INTEGER,
+        new_leader_id INTEGER,
+        created_at TIMESTAMP NOT NULL,
+        FOREIGN KEY(auction_id) REFERENCES auctions(id),
+        FOREIGN KEY(user_id) REFERENCES users(id),
+        FOREIGN KEY(actor_id) REFERENCES users(id)
+      );
+    `);
+
+    // Suspicious bidding raised by the bid-pattern analyzer for admin review
+    await query(`
+      CREATE TABLE IF NOT EXISTS bid_flags (
+        id SERIAL PRIMARY KEY,
+        auction_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        reason VARCHAR(50) NOT NULL,
+        details TEXT,
+        status VARCHAR(20) DEFAULT 'open',
+        reviewed_by INTEGER,
+        reviewed_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL,
+        FOREIGN KEY(auction_id) REFERENCES auctions(id),
+        FOREIGN KEY(user_id) REFERENCES users(id),
+        FOREIGN KEY(reviewed_by) REFERENCES users(id)
+      );
+    `);
+
+    // Hidden maximum bids used for proxy (automatic) bidding
+    await query(`
+      CREATE TABLE IF NOT EXISTS max_bids (
+        id SERIAL PRIMARY KEY,
+        auction_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        max_amount INTEGER NOT NULL,
+        created_at TIMESTAMP NOT NULL,
+        updated_at TIMESTAMP NOT NULL,
+        UNIQUE(auction_id, user_id),
+        FOREIGN KEY(auction_id) REFERENCES auctions(id),
+        FOREIGN KEY(user_id) REFERENCES users(id)
+      );
+    `);
+
     await query(`
       CREATE TABLE IF NOT EXISTS orders (
         id SERIAL PRIMARY KEY,
@@ -196,6 +428,173 @@ export async function initializeTables() {
       );
     `);
 
+    // Deadline for the winner of an auction to complete payment
+    await query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_due_at TIMESTAMP;`);
+    // A checkout that completed after the order had expired or was already
+    // paid: 'refunded', or 'refund_failed' until an admin sorts it out
+    await query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS late_payment VARCHAR(20);`);
+
+    // The size bought with Buy It Now; auction orders take theirs from the auction
+    await query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;`);
+    // When the order's pair came off its size's stock, so a repeated payment webhook can't take another
+    await query(`ALTER TABLE orders ADD COLUMN IF NOT EXISTS stock_deducted_at TIMESTAMP;`);
+
+    // Auction wins a buyer let lapse without paying
+    await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS unpaid_count INTEGER DEFAULT 0;`);
+    await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS last_unpaid_at TIMESTAMP;`);
+
+    // Card on file (saved through Stripe) for authorization holds on high-value bids
+    await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS stripe_customer_id VARCHAR(255);`);
+    await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS card_payment_method_id VARCHAR(255);`);
+    await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS card_brand VARCHAR(50);`);
+    await query(`ALTER TABLE users ADD COLUMN IF NOT EXISTS card_last4 VARCHAR(4);`);
+
+    // Stripe authorization holds backing bids on high-value auctions:
+    // held -> released (outbid or lost), captured (won) or failed (capture declined)
+    await query(`
+      CREATE TABLE IF NOT EXISTS bid_holds (
+        id SERIAL PRIMARY KEY,
+        auction_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        payment_intent_id VARCHAR(255) NOT NULL,
+        amount INTEGER NOT NULL,
+        status VARCHAR(20) DEFAULT 'held',
+        order_id INTEGER,
+        created_at TIMESTAMP NOT NULL,
+        released_at TIMESTAMP,
+        captured_at TIMESTAMP,
+        FOREIGN KEY(auction_id) REFERENCES auctions(id),
+        FOREIGN KEY(user_id) REFERENCES users(id),
+        FOREIGN KEY(order_id) REFERENCES orders(id)
+      );
+    `);
+
+    // Set when a lapsing hold couldn't be re-authorized, so it isn't retried
+    await query(`ALTER TABLE bid_holds ADD COLUMN IF NOT EXISTS renew_failed_at TIMESTAMP;`);
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        type VARCHAR(50) NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        message TEXT,
+        link TEXT,
+        read_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `);
+
+    // Products bundled into a lot auction. The auction's own product_id is the
+    // lead item and is listed here too (position 0).
+    await query(`
+      CREATE TABLE IF NOT EXISTS auction_lot_items (
+        id SERIAL PRIMARY KEY,
+        auction_id INTEGER NOT NULL,
+        product_id INTEGER NOT NULL,
+        position INTEGER DEFAULT 0,
+        created_at TIMESTAMP NOT NULL,
+        UNIQUE(auction_id, product_id),
+        FOREIGN KEY(auction_id) REFERENCES auctions(id) ON DELETE CASCADE,
+        FOREIGN KEY(product_id) REFERENCES products(id) ON DELETE CASCADE
+      );
+    `);
+
+    // Best offers on products. status: pending -> accepted | declined | countered
+    // (then accepted | declined by the buyer) | withdrawn when superseded.
+    // An accepted offer gets a pending order (order_id).
+    await query(`
+      CREATE TABLE IF NOT EXISTS offers (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        amount INTEGER NOT NULL,
+        counter_amount INTEGER,
+        message TEXT,
+        status VARCHAR(20) DEFAULT 'pending',
+        order_id INTEGER,
+        responded_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL,
+        FOREIGN KEY(product_id) REFERENCES products(id) ON DELETE CASCADE,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(order_id) REFERENCES orders(id)
+      );
+    `);
+
+    // Raffle releases: users enter while the window is open and winners are
+    // drawn at end_time. seed_hash is published up front; seed is only shown
+    // once drawn so anyone can re-run the draw.
+    await query(`
+      CREATE TABLE IF NOT EXISTS raffles (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL,
+        price INTEGER NOT NULL,
+        winner_count INTEGER NOT NULL DEFAULT 1,
+        start_time TIMESTAMP NOT NULL,
+        end_time TIMESTAMP NOT NULL,
+        status VARCHAR(20) DEFAULT 'open',
+        checkout_hours INTEGER NOT NULL DEFAULT 24,
+        seed VARCHAR(64) NOT NULL,
+        seed_hash VARCHAR(64) NOT NULL,
+        drawn_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL,
+        FOREIGN KEY(product_id) REFERENCES products(id) ON DELETE CASCADE
+      );
+    `);
+
+    // One entry per user per raffle; winners get draw_rank and a pending order
+    await query(`
+      CREATE TABLE IF NOT EXISTS raffle_entries (
+        id SERIAL PRIMARY KEY,
+        raffle_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        draw_score VARCHAR(64),
+        draw_rank INTEGER,
+        is_winner INTEGER DEFAULT 0,
+        order_id INTEGER,
+        created_at TIMESTAMP NOT NULL,
+        UNIQUE(raffle_id, user_id),
+        FOREIGN KEY(raffle_id) REFERENCES raffles(id) ON DELETE CASCADE,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(order_id) REFERENCES orders(id)
+      );
+    `);
+
+    // A raffle draws from one size's stock; each winning order takes a pair of it
+    await query(`ALTER TABLE raffles ADD COLUMN IF NOT EXISTS variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;`);
+
+    // Saved auction settings; prices are percentages of the product's highest_market_price
+    await query(`
+      CREATE TABLE IF NOT EXISTS auction_templates (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL UNIQUE,
+        duration_days INTEGER NOT NULL,
+        starting_bid_percent INTEGER NOT NULL,
+        reserve_percent INTEGER,
+        bid_increments TEXT,
+        soft_close_minutes INTEGER,
+        soft_close_extension_minutes INTEGER,
+        created_by INTEGER,
+        created_at TIMESTAMP NOT NULL,
+        FOREIGN KEY(created_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+    `);
+
+    // Auctions a user follows; ending_soon_notified_at stops repeat reminders
+    await query(`
+      CREATE TABLE IF NOT EXISTS watchlist (
+        id SERIAL PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        auction_id INTEGER NOT NULL,
+        ending_soon_notified_at TIMESTAMP,
+        created_at TIMESTAMP NOT NULL,
+        UNIQUE(user_id, auction_id),
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(auction_id) REFERENCES auctions(id) ON DELETE CASCADE
+      );
+    `);
+
     await query(`
       CREATE TABLE IF NOT EXISTS shipments (
         id SERIAL PRIMARY KEY,
@@ -223,6 +622,10 @@ export async function initializeTables() {
       );
     `);
 
+    // Delivery dates shown on the customer's order page
+    await query(`ALTER TABLE shipments ADD COLUMN IF NOT EXISTS estimated_delivery TIMESTAMP;`);
+    await query(`ALTER TABLE shipments ADD COLUMN IF NOT EXISTS actual_delivery TIMESTAMP;`);
+
     await query(`
       CREATE TABLE IF NOT EXISTS settings (
         key VARCHAR(255) PRIMARY KEY,
@@ -290,7 +693,27 @@ export async function initializeTables() {
     await query(`CREATE INDEX IF NOT EXISTS idx_auctions_end_time ON auctions(end_time);`);
     await query(`CREATE INDEX IF NOT EXISTS idx_products_featured ON products(is_featured);`);
     await query(`CREATE INDEX IF NOT EXISTS idx_products_brand ON products(brand);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_products_search ON products USING GIN(search_vector);`);
+    // Trigram index behind search suggestions (prefix and fuzzy matches).
+    // Installing pg_trgm needs CREATE on the database; without it the index is
+    // skipped and suggestions fall back to plain substring matching.
+    try {
+      const { rows: trgm } = await query(`SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm'`);
+      if (trgm.length === 0) await query(`CREATE EXTENSION pg_trgm;`);
+      await query(`CREATE INDEX IF NOT EXISTS idx_products_suggest_trgm ON products USING GIN((brand || ' ' || name || ' ' || COALESCE(sku, '')) gin_trgm_ops);`);
+    } catch (error) {
+      logger.warn('pg_trgm unavailable; search suggestions skip fuzzy matching', { error: error.message });
+    }
     await query(`CREATE INDEX IF NOT EXISTS idx_bids_auction_id ON bids(auction_id);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_watchlist_auction_id ON watchlist(auction_id);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_auction_lot_items_product_id ON auction_lot_items(product_id);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_offers_product_id ON offers(product_id);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_raffles_status ON raffles(status);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_bid_audit_log_auction_id ON bid_audit_log(auction_id);`);
+    await query(`CREATE INDEX IF NOT EXISTS idx_bid_holds_auction_id ON bid_holds(auction_id);`);
+    // One open flag per account, auction and reason
+    await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_bid_flags_open ON bid_flags(user_id, auction_id, reason) WHERE status = 'open';`);
 
     logger.info('Database tables initialized successfully');
   } catch (error) {
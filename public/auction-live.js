@@ -0,0 +1,243 @@
+// Live auction updates over Server-Sent Events. The auction page follows a
+// single auction (price, leader, bid history, soft-close extensions) and the
+// home page follows every auction card; countdowns tick locally in between.
+(function () {
+    function pad(n) {
+        return String(n).padStart(2, '0');
+    }
+
+    function formatDateTime(value) {
+        const d = new Date(value);
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+    }
+
+    function formatRemaining(ms) {
+        if (ms <= 0) return 'Ended';
+        const total = Math.floor(ms / 1000);
+        const days = Math.floor(total / 86400);
+        const hours = Math.floor((total % 86400) / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const seconds = total % 60;
+        if (days > 0) return `${days}d ${hours}h left`;
+        if (hours > 0) return `${hours}h ${minutes}m left`;
+        return `${minutes}m ${pad(seconds)}s left`;
+    }
+
+    function tickCountdowns() {
+        document.querySelectorAll('[data-countdown]').forEach(el => {
+            if (el.dataset.ended) return;
+            el.textContent = formatRemaining(new Date(el.dataset.countdown).getTime() - Date.now());
+        });
+    }
+
+    function setCountdown(container, endTime) {
+        container.querySelectorAll('[data-countdown]').forEach(el => {
+            el.dataset.countdown = new Date(endTime).toISOString();
+        });
+    }
+
+    function markEnded(container) {
+        container.querySelectorAll('[data-countdown]').forEach(el => {
+            el.dataset.ended = '1';
+            el.textContent = 'Ended';
+        });
+    }
+
+    // Auction detail page
+    function initAuctionPage(root) {
+        const auctionId = root.dataset.auctionId;
+        const userId = root.dataset.userId ? Number(root.dataset.userId) : null;
+        const field = name => root.querySelector(`[data-field="${name}"]`);
+        const bidInput = document.getElementById('bidAmount');
+        const history = document.getElementById('bidHistory');
+
+        function showLeader(leading) {
+            const leadingBadge = field('leading-badge');
+            const outbidBadge = field('outbid-badge');
+            if (leadingBadge) leadingBadge.hidden = !leading;
+            if (outbidBadge) outbidBadge.hidden = leading;
+        }
+
+        function applyState(data) {
+            const currentBid = field('current-bid');
+            if (currentBid) currentBid.textContent = data.currentBid;
+
+            if (data.endTime) {
+                setCountdown(root, data.endTime);
+                const endTime = field('end-time');
+                if (endTime) endTime.textContent = formatDateTime(data.endTime);
+            }
+
+            if (bidInput && data.minimumNextBid) {
+                bidInput.min = data.minimumNextBid;
+                if (Number(bidInput.value) < data.minimumNextBid) bidInput.value = data.minimumNextBid;
+            }
+            const minNextBid = field('min-next-bid');
+            if (minNextBid && data.minimumNextBid) minNextBid.textContent = data.minimumNextBid;
+
+            // The increment changes as the price crosses into a new band
+            if (data.increment) {
+                const increment = field('bid-increment');
+                if (increment) increment.textContent = data.increment;
+                root.querySelectorAll('.quick-bid[data-multiple]').forEach(button => {
+                    const amount = data.increment * Number(button.dataset.multiple);
+                    button.dataset.increment = amount;
+                    button.textContent = `+$${amount}`;
+                });
+            }
+
+            // Buy It Now goes away once bidding passes its cutoff
+            const cutoff = Number(root.dataset.buyNowCutoff);
+            if (cutoff && data.currentBid >= cutoff) {
+                ['buy-now', 'buy-now-divider'].forEach(name => {
+                    const el = field(name);
+                    if (el) el.hidden = true;
+                });
+            }
+
+            const reserve = field('reserve-status');
+            if (reserve && typeof data.reserveMet === 'boolean') {
+                reserve.classList.toggle('reserve-met', data.reserveMet);
+                reserve.classList.toggle('reserve-not-met', !data.reserveMet);
+                reserve.textContent = data.reserveMet ? '✅ Reserve met' : '🔒 Reserve not met';
+            }
+
+            if (userId && data.leaderId !== undefined) showLeader(data.leaderId === userId);
+        }
+
+        function addBidRows(bids) {
+            if (!history || !bids) return;
+            bids.forEach(bid => {
+                const row = document.createElement('tr');
+                const bidder = document.createElement('td');
+                bidder.textContent = bid.email;
+                const amount = document.createElement('td');
+                amount.textContent = `$${bid.amount}`;
+                if (bid.is_proxy) {
+                    const tag = document.createElement('span');
+                    tag.className = 'proxy-tag';
+                    tag.textContent = 'auto';
+                    amount.append(' ', tag);
+                }
+                const time = document.createElement('td');
+                time.textContent = formatDateTime(bid.created_at);
+                row.append(bidder, amount, time);
+                history.prepend(row);
+            });
+        }
+
+        const source = new EventSource(`/auction/${auctionId}/stream`);
+
+        source.addEventListener('snapshot', event => {
+            const data = JSON.parse(event.data);
+            // The auction opened or closed while we were away; the page layout differs
+            if (data.status !== root.dataset.status) return window.location.reload();
+            applyState(data);
+        });
+
+        source.addEventListener('bid', event => {
+            const data = JSON.parse(event.data);
+            applyState(data);
+            addBidRows(data.bids);
+            if (data.extended) {
+                const flash = field('extended-flash');
+                if (flash) flash.hidden = false;
+            }
+        });
+
+        source.addEventListener('started', () => window.location.reload());
+        // Voided bids change the history as well as the price, so redraw it all
+        source.addEventListener('repriced', () => window.location.reload());
+        source.addEventListener('ended', () => {
+            source.close();
+            window.location.reload();
+        });
+
+        // Submit bids in the background; the stream delivers the new price
+        const form = root.querySelector('form[data-live-bid]');
+        if (!form) return;
+        form.addEventListener('submit', async event => {
+            event.preventDefault();
+            const message = field('bid-message');
+            const button = form.querySelector('button[type="submit"]');
+            button.disabled = true;
+
+            try {
+                const response = await fetch(`/api/auctions/${auctionId}/bids`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({ amount: Number(bidInput.value) })
+                });
+                const data = await response.json();
+
+                if (!response.ok) {
+                    message.className = 'bid-message error';
+                    message.textContent = data.error || 'Failed to place bid';
+                } else {
+                    message.className = 'bid-message success';
+                    field('my-max-amount').textContent = data.maxBid;
+                    field('my-max-bid').hidden = false;
+                    if (data.sealed) {
+                        message.textContent = `Your sealed bid of $${data.maxBid} is in. You can revise it until the auction closes.`;
+                    } else {
+                        message.textContent = data.leading
+                            ? "Bid placed. You're the highest bidder!"
+                            : 'Bid placed, but another bidder has a higher maximum.';
+                        showLeader(data.leading);
+                    }
+                }
+                message.hidden = false;
+            } catch (e) {
+                console.error('Error placing bid:', e);
+                message.className = 'bid-message error';
+                message.textContent = 'Failed to place bid: ' + e.message;
+                message.hidden = false;
+            } finally {
+                button.disabled = false;
+            }
+        });
+    }
+
+    // Home page auction cards
+    function initAuctionGrid() {
+        const source = new EventSource('/auctions/stream');
+        const cardsFor = auctionId => document.querySelectorAll(`[data-auction-id="${auctionId}"]`);
+
+        source.addEventListener('bid', event => {
+            const data = JSON.parse(event.data);
+            cardsFor(data.auctionId).forEach(card => {
+                const currentBid = card.querySelector('[data-field="current-bid"]');
+                if (currentBid) currentBid.textContent = data.currentBid;
+                if (data.endTime) setCountdown(card, data.endTime);
+            });
+        });
+
+        source.addEventListener('repriced', event => {
+            const data = JSON.parse(event.data);
+            if (!data.currentBid) return;
+            cardsFor(data.auctionId).forEach(card => {
+                const currentBid = card.querySelector('[data-field="current-bid"]');
+                if (currentBid) currentBid.textContent = data.currentBid;
+            });
+        });
+
+        source.addEventListener('ended', event => {
+            const data = JSON.parse(event.data);
+            cardsFor(data.auctionId).forEach(markEnded);
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', function () {
+        const root = document.querySelector('.auction[data-auction-id]');
+        if (root) {
+            if (root.dataset.status === 'open' || root.dataset.status === 'scheduled') initAuctionPage(root);
+        } else if (document.querySelector('[data-auction-id]')) {
+            initAuctionGrid();
+        }
+
+        tickCountdowns();
+        setInterval(tickCountdowns, 1000);
+    });
+})();
@@ -230,9 +230,21 @@ async function createAuction() {
     
     const auctionData = {
         product_id: formData.get('product_id'),
+        variant_id: formData.get('variant_id') || null,
         starting_bid: parseInt(formData.get('starting_bid')),
         duration: parseInt(formData.get('duration')),
-        reserve_price: formData.get('reserve_price') ? parseInt(formData.get('reserve_price')) : null
+        // datetime-local values are in the admin's local time zone
+        start_time: formData.get('start_time') ? new Date(formData.get('start_time')).toISOString() : null,
+        end_time: formData.get('end_time') ? new Date(formData.get('end_time')).toISOString() : null,
+        reserve_price: formData.get('reserve_price') ? parseInt(formData.get('reserve_price')) : null,
+        bid_increments: formData.get('bid_increments') || null,
+        lot_product_ids: formData.get('lot_product_ids') || null,
+        auction_type: formData.get('auction_type') || 'standard',
+        sealed_price_rule: formData.get('sealed_price_rule') || 'first',
+        soft_close_minutes: formData.get('soft_close_minutes') !== '' ? parseInt(formData.get('soft_close_minutes')) : null,
+        soft_close_extension_minutes: formData.get('soft_close_extension_minutes') !== '' ? parseInt(formData.get('soft_close_extension_minutes')) : null,
+        relist_max: formData.get('relist_max') ? parseInt(formData.get('relist_max')) : 0,
+        relist_drop_percent: formData.get('relist_drop_percent') ? parseInt(formData.get('relist_drop_percent')) : 0
     };
     
     console.log('Auction data:', auctionData);
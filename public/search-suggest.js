@@ -0,0 +1,114 @@
+// Type-ahead suggestions for the header search box. Suggestions come from
+// /api/search/suggest as the buyer types; arrow keys move through them,
+// Enter opens the highlighted one, and Enter with none highlighted runs a
+// full search.
+(function () {
+    const DEBOUNCE_MS = 150;
+    const MIN_LENGTH = 2;
+
+    const form = document.querySelector('.header-search');
+    if (!form) return;
+    const input = form.querySelector('input[name="q"]');
+    input.setAttribute('autocomplete', 'off');
+
+    const list = document.createElement('ul');
+    list.className = 'search-suggestions';
+    list.setAttribute('role', 'listbox');
+    list.hidden = true;
+    form.appendChild(list);
+
+    let suggestions = [];
+    let highlighted = -1;
+    let timer = null;
+    let latestRequest = 0;
+
+    function close() {
+        list.hidden = true;
+        highlighted = -1;
+    }
+
+    function render() {
+        list.innerHTML = '';
+        suggestions.forEach((s, i) => {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'option');
+            item.className = 'suggestion' + (i === highlighted ? ' highlighted' : '');
+
+            const link = document.createElement('a');
+            link.href = s.url;
+            if (s.image_url) {
+                const img = document.createElement('img');
+                img.src = s.image_url;
+                img.alt = '';
+                link.appendChild(img);
+            }
+            const label = document.createElement('span');
+            label.className = 'suggestion-label';
+            label.textContent = s.label;
+            link.appendChild(label);
+            if (s.detail) {
+                const detail = document.createElement('span');
+                detail.className = 'suggestion-detail';
+                detail.textContent = s.detail;
+                link.appendChild(detail);
+            }
+
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+        list.hidden = suggestions.length === 0;
+    }
+
+    async function load(term) {
+        const request = ++latestRequest;
+        try {
+            const response = await fetch('/api/search/suggest?q=' + encodeURIComponent(term));
+            if (!response.ok) return;
+            const data = await response.json();
+            // A slower, older response mustn't replace newer suggestions
+            if (request !== latestRequest) return;
+            suggestions = data.suggestions || [];
+            highlighted = -1;
+            render();
+        } catch (e) {
+            // Suggestions are optional; the search form still works without them
+        }
+    }
+
+    input.addEventListener('input', () => {
+        clearTimeout(timer);
+        const term = input.value.trim();
+        if (term.length < MIN_LENGTH) {
+            latestRequest++;
+            suggestions = [];
+            close();
+            return;
+        }
+        timer = setTimeout(() => load(term), DEBOUNCE_MS);
+    });
+
+    input.addEventListener('keydown', e => {
+        if (list.hidden) return;
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            // Cycle through the suggestions and back to the typed text (-1)
+            const slots = suggestions.length + 1;
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            highlighted = (highlighted + 1 + step + slots) % slots - 1;
+            render();
+        } else if (e.key === 'Enter' && highlighted >= 0) {
+            e.preventDefault();
+            window.location.href = suggestions[highlighted].url;
+        } else if (e.key === 'Escape') {
+            close();
+        }
+    });
+
+    input.addEventListener('focus', () => {
+        if (suggestions.length > 0 && input.value.trim().length >= MIN_LENGTH) render();
+    });
+
+    document.addEventListener('click', e => {
+        if (!form.contains(e.target)) close();
+    });
+})();
@@ -7,7 +7,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import bcrypt from 'bcryptjs';
 import multer from 'multer';
-import { query, prepare, initializeTables, seedAdminUser } from './database.js';
+import { query, prepare, transaction, initializeTables, seedAdminUser } from './database.js';
 
 // Compatibility shim: some parts of the codebase use `db.prepare(sql).get(...)` with
 // `?` placeholders (sqlite style). The project uses PostgreSQL via `prepare()` which
@@ -64,6 +64,22 @@ import winston from 'winston';
 import cors from 'cors';
 import Razorpay from 'razorpay';
 import ShippingManager from './services/shippingManager.js';
+import BiddingService, { BidError, RETRACTION_REASONS, parseIncrementTable, formatIncrementTable } from './services/biddingService.js';
+import NotificationService from './services/notificationService.js';
+import AuctionScheduler from './services/auctionScheduler.js';
+import AuctionEvents from './services/auctionEvents.js';
+import WatchlistService from './services/watchlistService.js';
+import SecondChanceService, { SecondChanceError } from './services/secondChanceService.js';
+import LotService, { LotError, parseLotProductIds } from './services/lotService.js';
+import OfferService, { OfferError } from './services/offerService.js';
+import RaffleService, { RaffleError, drawScore, hashSeed } from './services/raffleService.js';
+import BidPatternAnalyzer, { FLAG_REASONS } from './services/bidPatternAnalyzer.js';
+import PaymentHoldService from './services/paymentHoldService.js';
+import AuctionTemplateService, { AuctionTemplateError } from './services/auctionTemplateService.js';
+import VariantService, { VariantError, inStock } from './services/variantService.js';
+import ConditionService, { ConditionError, CONDITION_LABELS, accessoriesOf } from './services/conditionService.js';
+import SearchService, { SEARCH_SORTS, searchUrl, toggleValue } from './services/searchService.js';
+import BrandService, { BrandError } from './services/brandService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -121,6 +137,26 @@ if (process.env.STRIPE_SECRET_KEY &&
 // Initialize Shipping Manager with logger
 shippingManager = new ShippingManager(logger);
 
+// Proxy bidding engine, and the analyzer that watches its bids for shill bidding
+const biddingService = new BiddingService(logger);
+const bidPatternAnalyzer = new BidPatternAnalyzer(logger);
+
+// In-app notifications, live auction streams and the background auction closer
+const notificationService = new NotificationService(logger);
+const auctionEvents = new AuctionEvents(logger);
+const watchlistService = new WatchlistService(logger, notificationService);
+const secondChanceService = new SecondChanceService(logger, notificationService);
+const variantService = new VariantService(logger);
+const lotService = new LotService(logger, { variantService });
+const raffleService = new RaffleService(logger, notificationService, { variantService });
+const offerService = new OfferService(logger, notificationService, { raffleService });
+const paymentHoldService = new PaymentHoldService(logger, stripe, { onOrderPaid: completePaidOrder });
+const auctionTemplateService = new AuctionTemplateService(logger);
+const conditionService = new ConditionService(logger);
+const brandService = new BrandService(logger);
+const searchService = new SearchService(logger, { brandService });
+const auctionScheduler = new AuctionScheduler(logger, notificationService, { events: auctionEvents, watchlistService, secondChanceService, raffleService, holdService: paymentHoldService, lotService });
+
 // Rate limiting configuration
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -128,6 +164,15 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  // Search suggestions fire as buyers type, so they get their own limit
+  skip: req => req.path === '/api/search/suggest',
+});
+
+const suggestLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000, // 5 minutes
+  max: 300, // one request per debounced keystroke adds up quickly
+  standardHeaders: true,
+  legacyHeaders: false,
 });
 
 const strictLimiter = rateLimit({
@@ -183,6 +228,7 @@ app.use(cors({
 // Apply rate limiting (only in production)
 if (process.env.NODE_ENV === 'production') {
   app.use(limiter);
+  app.use('/api/search/suggest', suggestLimiter);
   app.use('/admin', strictLimiter);
   app.use('/login', strictLimiter);
   app.use('/register', strictLimiter);
@@ -211,6 +257,19 @@ app.use(session({
   }
 }));
 
+// Unread notification count for the header
+app.use(async (req, res, next) => {
+  res.locals.unreadNotifications = 0;
+  if (req.session.user) {
+    try {
+      res.locals.unreadNotifications = await notificationService.unreadCount(req.session.user.id);
+    } catch (error) {
+      logger.warn('Failed to load notification count', { error: error.message });
+    }
+  }
+  next();
+});
+
 // Multer for CSV uploads - use /tmp in production
 const uploadsDir = process.env.NODE_ENV === 'production' 
   ? '/tmp/uploads' 
@@ -243,6 +302,11 @@ function ensureAuth(req, res, next) {
   logger.info('Unauthorized access attempt', { ip: req.ip, path: req.path });
   res.redirect('/login');
 }
+function ensureApiAuth(req, res, next) {
+  if (req.session.user) return next();
+  logger.info('Unauthorized API access attempt', { ip: req.ip, path: req.path });
+  res.status(401).json({ error: 'Login required' });
+}
 function ensureAdmin(req, res, next) {
   if (req.session.user && req.session.user.is_admin) return next();
   logger.warn('Admin access denied', { user: req.session.user?.email, ip: req.ip });
@@ -267,14 +331,81 @@ function detectSuspiciousActivity(req, action, details = {}) {
     });
   }
 }
-function allowedBrand(brand) {
-  const b = String(brand || '').toLowerCase();
-  return [
-    'nike', 'adidas', 'reebok', 'new balance',
-    'jordan', 'yeezy', 'off-white', 'supreme', 
-    'travis scott', 'balenciaga', 'golden goose',
-    'fragment', 'sacai', 'human race'
-  ].some(x => b === x || b.includes(x));
+
+// Soft-close (anti-sniping) settings for a new auction, falling back to the env defaults
+function softCloseSettings(body = {}) {
+  const pick = (value, fallback) => {
+    const n = Number(value);
+    return value !== undefined && value !== null && value !== '' && Number.isFinite(n) && n >= 0
+      ? Math.floor(n)
+      : fallback;
+  };
+  return {
+    windowMinutes: pick(body.soft_close_minutes, Number(process.env.SOFT_CLOSE_WINDOW_MINUTES || 2)),
+    extensionMinutes: pick(body.soft_close_extension_minutes, Number(process.env.SOFT_CLOSE_EXTENSION_MINUTES || 2))
+  };
+}
+
+// Relist rules for a new auction: how many times to relist it if it ends
+// unsold, and by what percent to lower the starting bid each time
+function relistRules(body = {}) {
+  const max = Number(body.relist_max || 0);
+  if (!Number.isInteger(max) || max < 0 || max > 10) return { error: 'Relist count must be a whole number from 0 to 10' };
+
+  const dropPercent = Number(body.relist_drop_percent || 0);
+  if (!Number.isInteger(dropPercent) || dropPercent < 0 || dropPercent > 90) {
+    return { error: 'Relist price drop must be a whole percent from 0 to 90' };
+  }
+  return { max, dropPercent };
+}
+
+// Auction format for a new auction: open ascending ('standard') or sealed-bid
+function auctionFormat(body = {}) {
+  const type = body.auction_type || 'standard';
+  if (!['standard', 'sealed'].includes(type)) return { error: 'Invalid auction type' };
+
+  const priceRule = body.sealed_price_rule || 'first';
+  if (!['first', 'second'].includes(priceRule)) return { error: 'Sealed price rule must be first or second' };
+
+  return { type, priceRule };
+}
+
+// Buy It Now disappears from an auction once bidding reaches
+// BUY_NOW_CUTOFF_PERCENT of the Buy It Now price. Returns that bid, or null
+// when there is no cutoff.
+function buyNowCutoffBid(buyItNowPrice) {
+  const percent = Number(process.env.BUY_NOW_CUTOFF_PERCENT || 0);
+  if (!buyItNowPrice || percent <= 0) return null;
+  return Math.ceil(buyItNowPrice * percent / 100);
+}
+
+// A return_to value that is safe to redirect to: a path on this site. Rules
+// out "//host" and "/\host" (browsers treat both as another site) and
+// control characters. Returns the path, or null.
+function safeReturnPath(value) {
+  if (typeof value !== 'string') return null;
+  return /^\/(?![\/\\])[^\\\x00-\x1f\x7f]*$/.test(value) ? value : null;
+}
+
+// Start/end window for a new auction: explicit start_time/end_time when given,
+// otherwise starting now and running for `duration` days. Auctions that start
+// in the future are created as 'scheduled' and opened by the scheduler.
+function auctionWindow(body = {}, defaultDurationDays) {
+  const now = dayjs();
+  const requestedStart = body.start_time ? dayjs(body.start_time) : now;
+  if (!requestedStart.isValid()) return { error: 'Invalid start time' };
+
+  const start = requestedStart.isAfter(now) ? requestedStart : now;
+  let end;
+  if (body.end_time) {
+    end = dayjs(body.end_time);
+    if (!end.isValid()) return { error: 'Invalid end time' };
+  } else {
+    end = start.add(Number(body.duration) || defaultDurationDays, 'day');
+  }
+  if (!end.isAfter(start)) return { error: 'End time must be after the start time' };
+
+  return { start, end, status: start.isAfter(now) ? 'scheduled' : 'open' };
 }
 
 // Settings helpers
@@ -330,6 +461,8 @@ app.get('/logout', (req, res) => {
 app.get('/', async (req, res) => {
   try {
     const brandFilter = req.query.brand;
+    // A brand covers its sub-brands (Nike includes Jordan)
+    const brandNames = brandFilter ? await brandService.familyNames(brandFilter) : [];
     
     // Get featured products with active auctions (filter by brand if specified)
     let featuredAuctionsQuery = `
@@ -341,8 +474,8 @@ app.get('/', async (req, res) => {
     
     const featuredAuctionsParams = [];
     if (brandFilter) {
-      featuredAuctionsQuery += ` AND p.brand = $1`;
-      featuredAuctionsParams.push(brandFilter);
+      featuredAuctionsQuery += ` AND p.brand = ANY($1)`;
+      featuredAuctionsParams.push(brandNames);
     }
     
     featuredAuctionsQuery += `
@@ -361,8 +494,8 @@ app.get('/', async (req, res) => {
     
     const featuredProductsParams = [];
     if (brandFilter) {
-      featuredProductsQuery += ` AND p.brand = $1`;
-      featuredProductsParams.push(brandFilter);
+      featuredProductsQuery += ` AND p.brand = ANY($1)`;
+      featuredProductsParams.push(brandNames);
     }
     
     featuredProductsQuery += `
@@ -374,7 +507,9 @@ app.get('/', async (req, res) => {
 
     // Get all open auctions (filter by brand if specified)
     let auctionsQuery = `
-      SELECT a.*, p.name as product_name, p.brand, p.image_url, p.highest_market_price
+      SELECT a.*, p.name as product_name, p.brand, p.image_url, p.highest_market_price,
+        p.condition, p.condition_rating, p.box_condition, p.auth_status,
+        (SELECT COUNT(*) FROM auction_lot_items li WHERE li.auction_id = a.id)::integer as lot_size
       FROM auctions a
       JOIN products p ON p.id = a.product_id
       WHERE a.status = 'open'
@@ -382,8 +517,8 @@ app.get('/', async (req, res) => {
     
     const auctionsParams = [];
     if (brandFilter) {
-      auctionsQuery += ` AND p.brand = $1`;
-      auctionsParams.push(brandFilter);
+      auctionsQuery += ` AND p.brand = ANY($1)`;
+      auctionsParams.push(brandNames);
     }
     
     auctionsQuery += `
@@ -392,37 +527,36 @@ app.get('/', async (req, res) => {
     
     const auctions = await prepare(auctionsQuery).all(auctionsParams);
     
-    // Get popular brands with one product each
-    const popularBrandsResult = await query(`
-      WITH brand_counts AS (
-        SELECT brand, COUNT(*) as product_count
-        FROM products 
-        GROUP BY brand
-        HAVING COUNT(*) > 0
-        ORDER BY COUNT(*) DESC
-        LIMIT 6
-      )
-      SELECT DISTINCT p.*, bc.product_count
-      FROM brand_counts bc
-      JOIN products p ON p.brand = bc.brand
-      WHERE p.id = (
-        SELECT id FROM products p2 
-        WHERE p2.brand = bc.brand 
-        ORDER BY p2.highest_market_price DESC, p2.id DESC 
-        LIMIT 1
-      )
-      ORDER BY bc.product_count DESC, p.highest_market_price DESC
-    `);
+    // Top-level brands with the most products, each with one product to show
+    const popularBrands = await brandService.popular(6);
+
+    const watchedIds = req.session.user
+      ? await watchlistService.watchedAuctionIds(req.session.user.id)
+      : [];
+
+    // Drops starting within the next week
+    const upcomingDrops = await prepare(`
+      SELECT a.*, p.name as product_name, p.brand, p.image_url
+      FROM auctions a
+      JOIN products p ON p.id = a.product_id
+      WHERE a.status = 'scheduled' AND a.start_time <= $1
+      ORDER BY a.start_time ASC
+      LIMIT 4
+    `).all([dayjs().add(7, 'day').toISOString()]);
     
-    const popularBrands = popularBrandsResult.rows;
+    const raffles = await raffleService.listActive();
     
     res.render('home', { 
       user: req.session.user, 
       auctions, 
+      raffles, 
       featuredAuctions, 
       featuredProducts, 
       popularBrands, 
+      upcomingDrops,
+      watchedIds,
       brandFilter, 
+      conditionLabels: CONDITION_LABELS,
       dayjs 
     });
   } catch (error) {
@@ -438,59 +572,344 @@ app.get('/auction/:id', async (req, res) => {
     const auction = await prepare(`
       SELECT a.*, p.*,
         a.id as auction_id,
-        p.id as product_id
-      FROM auctions a JOIN products p ON p.id = a.product_id WHERE a.id = $1
+        p.id as product_id,
+        a.status as status,
+        p.status as product_status,
+        COALESCE(v.size, p.size) as size,
+        COALESCE(v.price, p.buy_it_now_price) as buy_it_now_price,
+        v.quantity as variant_quantity,
+        (SELECT r.id FROM auctions r WHERE r.relisted_from_auction_id = a.id) as relisted_as_auction_id
+      FROM auctions a JOIN products p ON p.id = a.product_id
+      LEFT JOIN product_variants v ON v.id = a.variant_id
+      WHERE a.id = $1
     `).get([id]);
     
     if (!auction) return res.status(404).send('Auction not found');
     
-    const bids = await prepare(
-      `SELECT b.*, u.email FROM bids b JOIN users u ON u.id = b.user_id WHERE auction_id = $1 ORDER BY created_at DESC`
+    // Sealed bids stay hidden until the auction closes and reveals them
+    const sealedOpen = auction.auction_type === 'sealed' && auction.status !== 'ended';
+    const bids = sealedOpen ? [] : await prepare(
+      `SELECT b.*, u.email FROM bids b JOIN users u ON u.id = b.user_id WHERE auction_id = $1 AND b.voided_at IS NULL ORDER BY created_at DESC`
     ).all([id]);
+    const sealedBidCount = sealedOpen
+      ? Number((await prepare('SELECT COUNT(*) as count FROM max_bids WHERE auction_id = $1').get([id])).count)
+      : 0;
     
     const images = await prepare('SELECT * FROM product_images WHERE product_id = $1 ORDER BY display_order, id').all([auction.product_id]);
+    const lotItems = await lotService.itemsFor(auction.auction_id);
+    const flaws = await conditionService.flawsFor(auction.product_id);
+    
+    const myMaxBid = req.session.user
+      ? await biddingService.getMaxBid(auction.auction_id, req.session.user.id)
+      : null;
+    
+    // Pending order awaiting payment from this user (set once the auction closes)
+    const winningOrder = req.session.user
+      ? await prepare(`
+          SELECT * FROM orders
+          WHERE auction_id = $1 AND user_id = $2 AND status = 'pending' AND payment_due_at IS NOT NULL
+          ORDER BY id DESC LIMIT 1
+        `).get([auction.auction_id, req.session.user.id])
+      : null;
+    
+    const watching = req.session.user
+      ? await watchlistService.isWatching(req.session.user.id, auction.auction_id)
+      : false;
+    
+    // Buy It Now is offered until the auction closes or bidding passes the cutoff; lots sell only as a whole
+    const buyNowCutoff = buyNowCutoffBid(auction.buy_it_now_price);
+    const buyNowAvailable = auction.buy_it_now_price > 0
+      && ['open', 'scheduled'].includes(auction.status)
+      && auction.product_status !== 'sold'
+      && (!auction.variant_id || auction.variant_quantity > 0)
+      && lotItems.length <= 1
+      && (buyNowCutoff === null || (auction.current_bid || 0) < buyNowCutoff);
+    
+    const reserveMet = biddingService.reserveMet(auction);
+    const increments = await biddingService.incrementTable(auction);
+    const minimumNextBid = biddingService.minimumNextBid(auction, increments);
+    const bidIncrement = biddingService.currentIncrement(auction, increments);
+    
+    // Bidders can take their bids back until the closing window
+    const canRetract = !!req.session.user
+      && (!!myMaxBid || bids.some(b => b.user_id === req.session.user.id))
+      && biddingService.retractionOpen(auction);
+    
+    // Admins see every bidder (to cancel one) and the record of removed bids
+    const isAdmin = !!req.session.user?.is_admin;
+    const bidders = isAdmin
+      ? await prepare(`
+          SELECT u.id as user_id, u.email, m.max_amount,
+            COUNT(b.id)::integer as bid_count, MAX(b.amount) as top_bid
+          FROM users u
+          LEFT JOIN max_bids m ON m.auction_id = $1 AND m.user_id = u.id
+          LEFT JOIN bids b ON b.auction_id = $1 AND b.user_id = u.id AND b.voided_at IS NULL
+          WHERE m.id IS NOT NULL OR b.id IS NOT NULL
+          GROUP BY u.id, u.email, m.max_amount
+          ORDER BY COALESCE(m.max_amount, MAX(b.amount)) DESC
+        `).all([auction.auction_id])
+      : [];
+    const bidAudit = isAdmin
+      ? await prepare(`
+          SELECT l.*, u.email, actor.email as actor_email, leader.email as new_leader_email
+          FROM bid_audit_log l
+          JOIN users u ON u.id = l.user_id
+          LEFT JOIN users actor ON actor.id = l.actor_id
+          LEFT JOIN users leader ON leader.id = l.new_leader_id
+          WHERE l.auction_id = $1
+          ORDER BY l.created_at DESC
+        `).all([auction.auction_id])
+      : [];
+    
+    // High-value auctions authorize the bidder's card before taking a bid
+    const holdRequired = paymentHoldService.requiresHold(auction);
+    const myCard = holdRequired && req.session.user ? await paymentHoldService.cardFor(req.session.user.id) : null;
     
-    res.render('auction', { user: req.session.user, auction, bids, images, dayjs });
+    res.render('auction', {
+      user: req.session.user, auction, bids, images, myMaxBid, winningOrder, reserveMet, minimumNextBid, bidIncrement, watching, sealedBidCount, lotItems, buyNowAvailable, buyNowCutoff,
+      canRetract, retractionReasons: RETRACTION_REASONS, retractionCutoffMinutes: biddingService.retractionCutoffMinutes, bidders, bidAudit,
+      holdRequired, myCard,
+      flaws, accessories: accessoriesOf(auction), conditionLabels: CONDITION_LABELS,
+      dayjs
+    });
   } catch (error) {
     logger.error('Error loading auction:', error);
     res.status(500).send('Internal server error');
   }
 });
 
-// Place bid
-app.post('/auction/:id/bid', ensureAuth, async (req, res) => {
+// Let the bidder who just lost the lead know they have been outbid
+async function notifyOutbid(auctionId, result) {
+  if (!result.previousLeaderId || result.previousLeaderId === result.leaderId) return;
+  try {
+    const product = await prepare(`
+      SELECT p.brand, p.name FROM auctions a JOIN products p ON p.id = a.product_id WHERE a.id = $1
+    `).get([auctionId]);
+    const productName = product ? `${product.brand} ${product.name}` : `auction #${auctionId}`;
+
+    await notificationService.notify(result.previousLeaderId, {
+      type: 'outbid',
+      title: `You've been outbid on auction #${auctionId}`,
+      message: `The current bid on ${productName} is now $${result.currentBid}. Raise your maximum bid to take back the lead.`,
+      link: `/auction/${auctionId}`
+    });
+  } catch (error) {
+    logger.error('Failed to send outbid notification', { auctionId, error: error.message });
+  }
+}
+
+// Run the fraud checks on a bid that was just placed. Anything suspicious
+// lands in the admin review queue; a failure here never fails the bid.
+async function analyzeBid(req, auctionId, result) {
+  detectSuspiciousActivity(req, 'bid', { auctionId, amount: result.maxBid });
+  try {
+    await bidPatternAnalyzer.analyze(auctionId, req.session.user.id);
+  } catch (error) {
+    logger.error('Bid pattern analysis failed', { auctionId, userId: req.session.user.id, error: error.message });
+  }
+}
+
+// After a bidder's bids were removed: drop their card hold, push the new
+// price to live streams and tell a bidder who got the lead back
+async function announceRepricing(auctionId, removedUserId, result) {
+  try {
+    await paymentHoldService.releaseFor(auctionId, removedUserId, 'bids removed');
+  } catch (error) {
+    logger.error('Failed to release bid hold', { auctionId, userId: removedUserId, error: error.message });
+  }
+  auctionEvents.publish(auctionId, 'repriced', { currentBid: result.currentBid, leaderId: result.leaderId });
+  if (!result.leaderId || result.leaderId === result.previousLeaderId) return;
+  try {
+    await notificationService.notify(result.leaderId, {
+      type: 'lead_restored',
+      title: `You're the high bidder on auction #${auctionId} again`,
+      message: `Some bids on this auction were removed. The current bid is now $${result.currentBid}.`,
+      link: `/auction/${auctionId}`
+    });
+  } catch (error) {
+    logger.error('Failed to send lead notification', { auctionId, error: error.message });
+  }
+}
+
+// Place a bid, first putting an authorization hold for the maximum on the
+// bidder's card when the auction calls for one. A rejected bid gives its new
+// hold back; an accepted one releases holds that are no longer needed.
+async function placeHeldBid(req, auctionId, maxAmount) {
+  const hold = await paymentHoldService.holdForBid(auctionId, req.session.user, maxAmount);
+  let result;
+  try {
+    result = await biddingService.placeBid(auctionId, req.session.user.id, maxAmount, bidOrigin(req));
+  } catch (error) {
+    if (hold) await paymentHoldService.release(hold, 'bid rejected');
+    throw error;
+  }
+  if (paymentHoldService.enabled()) {
+    try {
+      await paymentHoldService.settleAfterBid(auctionId, result.leaderId, { sealed: !!result.sealed });
+    } catch (error) {
+      logger.error('Failed to release bid holds', { auctionId, error: error.message });
+    }
+  }
+  return result;
+}
+
+// Where a bid came from, kept on the bid for the pattern analyzer
+function bidOrigin(req) {
+  return { ip: req.ip, sessionId: req.sessionID };
+}
+
+// Push a bid's new price, leader, end time and bid rows to live auction streams
+async function publishBid(auctionId, result) {
+  // Sealed bids are never broadcast
+  if (result.sealed) return;
+  try {
+    const auction = await prepare('SELECT * FROM auctions WHERE id = $1').get([auctionId]);
+    const increments = await biddingService.incrementTable(auction);
+    const bids = result.placedCount > 0
+      ? await prepare(`
+        SELECT b.amount, b.is_proxy, b.created_at, u.email
+        FROM bids b JOIN users u ON u.id = b.user_id
+        WHERE b.auction_id = $1 AND b.voided_at IS NULL
+        ORDER BY b.created_at DESC, b.id DESC
+        LIMIT $2
+      `).all([auctionId, result.placedCount])
+      : [];
+
+    auctionEvents.publish(auctionId, 'bid', {
+      currentBid: result.currentBid,
+      leaderId: result.leaderId,
+      previousLeaderId: result.previousLeaderId,
+      minimumNextBid: biddingService.minimumNextBid(auction, increments),
+      increment: biddingService.currentIncrement(auction, increments),
+      reserveMet: biddingService.reserveMet(auction),
+      endTime: result.endTime,
+      extended: result.extended,
+      bids: bids.reverse()
+    });
+  } catch (error) {
+    logger.error('Failed to publish bid event', { auctionId, error: error.message });
+  }
+}
+
+// Live updates for one auction (Server-Sent Events)
+app.get('/auction/:id/stream', async (req, res) => {
   try {
     const id = Number(req.params.id);
-    const { amount } = req.body;
     const auction = await prepare('SELECT * FROM auctions WHERE id = $1').get([id]);
-    
-    if (!auction) return res.status(404).send('Not found');
-    
-    const now = dayjs();
-    if (dayjs(auction.end_time).isBefore(now) || auction.status !== 'open') {
-      return res.status(400).send('Auction ended');
-    }
-    
-    const amt = Number(amount);
-    if (!Number.isFinite(amt) || amt <= 0) return res.status(400).send('Invalid amount');
-    if (amt % 5 !== 0) return res.status(400).send('Bids must be in increments of 5');
-    
-    const min = Math.max(auction.starting_bid, auction.current_bid || 0) + 5;
-    if (amt < min) return res.status(400).send(`Minimum next bid is ${min}`);
+    if (!auction) return res.status(404).send('Auction not found');
 
-    // Use PostgreSQL transaction
-    await query('INSERT INTO bids (auction_id, user_id, amount, created_at) VALUES ($1, $2, $3, $4)', 
-      [id, req.session.user.id, amt, dayjs().toISOString()]);
-    await query('UPDATE auctions SET current_bid = $1, current_bid_user_id = $2 WHERE id = $3',
-      [amt, req.session.user.id, id]);
-    
+    const increments = await biddingService.incrementTable(auction);
+
+    // Current state first, so reconnecting clients catch up on anything they missed
+    const client = auctionEvents.subscribe(req, res, id);
+    auctionEvents.send(client, 'snapshot', {
+      auctionId: id,
+      status: auction.status,
+      currentBid: auction.current_bid || auction.starting_bid,
+      leaderId: auction.current_bid_user_id,
+      minimumNextBid: biddingService.minimumNextBid(auction, increments),
+      increment: biddingService.currentIncrement(auction, increments),
+      reserveMet: biddingService.reserveMet(auction),
+      endTime: auction.end_time
+    });
+  } catch (error) {
+    logger.error('Error opening auction stream:', error);
+    if (!res.headersSent) res.status(500).send('Internal server error');
+  }
+});
+
+// Live updates for every auction (home page grid)
+app.get('/auctions/stream', (req, res) => {
+  auctionEvents.subscribe(req, res);
+});
+
+// Place bid (the submitted amount is the bidder's hidden maximum)
+app.post('/auction/:id/bid', ensureAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const maxAmount = req.body.max_bid ?? req.body.amount;
+    const result = await placeHeldBid(req, id, maxAmount);
+    await publishBid(id, result);
+    await notifyOutbid(id, result);
+    await analyzeBid(req, id, result);
     res.redirect('/auction/' + id);
   } catch (error) {
+    if (error instanceof BidError) return res.status(error.status).send(error.message);
     logger.error('Error placing bid:', error);
     res.status(500).send('Internal server error');
   }
 });
 
+// API: Place bid
+app.post('/api/auctions/:id/bids', ensureApiAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const maxAmount = req.body.max_bid ?? req.body.amount;
+    const result = await placeHeldBid(req, id, maxAmount);
+    await publishBid(id, result);
+    await notifyOutbid(id, result);
+    await analyzeBid(req, id, result);
+    res.json({
+      success: true,
+      leading: result.leading,
+      currentBid: result.currentBid,
+      maxBid: result.maxBid,
+      endTime: result.endTime,
+      extended: result.extended,
+      sealed: !!result.sealed
+    });
+  } catch (error) {
+    if (error instanceof BidError) return res.status(error.status).json({ error: error.message });
+    logger.error('Error placing bid via API:', error);
+    res.status(500).json({ error: 'Failed to place bid' });
+  }
+});
+
+// Retract all of your bids on an auction (not allowed near the end)
+app.post('/auction/:id/retract', ensureAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const result = await biddingService.retractBids(id, req.session.user.id, req.body.reason);
+    await announceRepricing(id, req.session.user.id, result);
+
+    // Repeated retractions are one of the patterns the analyzer flags
+    try {
+      await bidPatternAnalyzer.analyze(id, req.session.user.id);
+    } catch (error) {
+      logger.error('Bid pattern analysis failed', { auctionId: id, userId: req.session.user.id, error: error.message });
+    }
+    res.redirect('/auction/' + id);
+  } catch (error) {
+    if (error instanceof BidError) return res.status(error.status).send(error.message);
+    logger.error('Error retracting bids:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Admin: cancel a bidder's bids on an open auction
+app.post('/admin/auctions/:id/bidders/:userId/cancel', ensureAdmin, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const userId = Number(req.params.userId);
+    const note = String(req.body.note || '').trim() || null;
+    const result = await biddingService.voidBids(id, userId, { reason: 'cancelled', actorId: req.session.user.id, note });
+    logger.info('Bids cancelled by admin', { auctionId: id, userId, admin: req.session.user.email, note });
+
+    await announceRepricing(id, userId, result);
+    await notificationService.notify(userId, {
+      type: 'bids_cancelled',
+      title: `Your bids on auction #${id} were cancelled`,
+      message: note ? `The seller cancelled your bids: ${note}` : 'The seller cancelled your bids on this auction.',
+      link: `/auction/${id}`
+    });
+    res.redirect('/auction/' + id);
+  } catch (error) {
+    if (error instanceof BidError) return res.status(error.status).send(error.message);
+    logger.error('Error cancelling bids:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
 // Checkout for winning bidder (or allow immediate checkout by current highest)
 app.post('/checkout/:auctionId', ensureAuth, async (req, res) => {
   try {
@@ -501,17 +920,37 @@ app.post('/checkout/:auctionId', ensureAuth, async (req, res) => {
     if (!auction.current_bid || auction.current_bid_user_id !== req.session.user.id) {
       return res.status(400).send('Only current highest bidder can checkout');
     }
+    if (!biddingService.reserveMet(auction)) {
+      return res.status(400).send('Reserve price has not been met');
+    }
     if (!stripe) return res.status(500).send('Stripe not configured');
 
     const prod = await prepare('SELECT * FROM products WHERE id = $1').get([auction.product_id]);
+    const lotItems = await lotService.itemsFor(auctionId);
+    const itemName = lotItems.length > 1
+      ? `Lot of ${lotItems.length}: ${prod.brand} ${prod.name} + ${lotItems.length - 1} more (Auction #${auctionId})`
+      : `${prod.brand} ${prod.name} (Auction #${auctionId})`;
     const connectedId = await getSetting('stripe_connected_account_id');
     
-    // Create order placeholder
-    const orderResult = await query(
-      'INSERT INTO orders (auction_id, user_id, amount, status, created_at) VALUES ($1, $2, $3, $4, $5) RETURNING id',
-      [auctionId, req.session.user.id, auction.current_bid, 'pending', dayjs().toISOString()]
-    );
-    const orderId = orderResult.rows[0].id;
+    // Reuse the pending order created when the auction closed (or by an earlier attempt)
+    const existingOrder = await prepare(
+      'SELECT * FROM orders WHERE auction_id = $1 AND user_id = $2 AND status = $3 ORDER BY id DESC LIMIT 1'
+    ).get([auctionId, req.session.user.id, 'pending']);
+    
+    if (existingOrder?.payment_due_at && dayjs(existingOrder.payment_due_at).isBefore(dayjs())) {
+      return res.status(400).send('The payment deadline for this auction has passed');
+    }
+    // Payment opens when the auction closes and the scheduler creates the
+    // winner's order; the leader can't buy at the current price mid-auction
+    if (auction.status !== 'ended') {
+      return res.status(400).send('You can pay once the auction has ended');
+    }
+    if (!existingOrder) {
+      return res.status(400).send('There is no payment due for this auction');
+    }
+    
+    const orderId = existingOrder.id;
+    await query('UPDATE orders SET amount = $1 WHERE id = $2', [auction.current_bid, orderId]);
 
   try {
     const sessionCreate = {
@@ -521,7 +960,7 @@ app.post('/checkout/:auctionId', ensureAuth, async (req, res) => {
       line_items: [{
         price_data: {
           currency: 'usd',
-          product_data: { name: `${prod.brand} ${prod.name} (Auction #${auctionId})` },
+          product_data: { name: itemName },
           unit_amount: auction.current_bid * 100
         },
         quantity: 1
@@ -550,66 +989,236 @@ app.post('/checkout/:auctionId', ensureAuth, async (req, res) => {
   }
 });
 
-// Buy It Now - Direct purchase bypassing auction
+// Send the buyer to Stripe Checkout for a fixed-price product order
+// (Buy It Now or an accepted offer)
+async function redirectToProductCheckout(req, res, { product, orderId, amount, label }) {
+  const connectedId = await getSetting('stripe_connected_account_id');
+
+  const sessionCreate = {
+    mode: 'payment',
+    payment_method_types: ['card', 'cashapp', 'us_bank_account', 'paypal'],
+    shipping_address_collection: { allowed_countries: ['US', 'CA'] },
+    line_items: [{
+      price_data: {
+        currency: 'usd',
+        product_data: {
+          name: `${product.brand} ${product.name} - ${label}`,
+          description: product.description || 'Premium sneaker'
+        },
+        unit_amount: amount * 100
+      },
+      quantity: 1
+    }],
+    success_url: `${req.protocol}://${req.get('host')}/order/${orderId}/success`,
+    cancel_url: `${req.protocol}://${req.get('host')}/order/${orderId}/cancel`
+  };
+
+  if (connectedId) {
+    sessionCreate.payment_intent_data = {
+      transfer_data: { destination: connectedId }
+    };
+  }
+
+  const session = await stripe.checkout.sessions.create(sessionCreate);
+  await query('UPDATE orders SET stripe_session_id = $1 WHERE id = $2', [session.id, orderId]);
+  res.redirect(session.url);
+}
+
+// Buy It Now - Direct purchase bypassing auction. Products sold in sizes are
+// bought one pair of one size (variant_id) at that size's price.
 app.post('/buy-now/:productId', ensureAuth, async (req, res) => {
   try {
     const productId = Number(req.params.productId);
     const product = await prepare('SELECT * FROM products WHERE id = $1').get([productId]);
     
     if (!product) return res.status(404).send('Product not found');
-    if (!product.buy_it_now_price || product.buy_it_now_price <= 0) {
-      return res.status(400).send('Buy It Now not available for this product');
-    }
     if (!stripe) return res.status(500).send('Stripe not configured');
     
-    const connectedId = await getSetting('stripe_connected_account_id');
+    // Lock the product so it can't be bought twice, and end any auction it is
+    // in together with creating the order
+    const purchase = await transaction(async (client) => {
+      const { rows: [locked] } = await client.query('SELECT status FROM products WHERE id = $1 FOR UPDATE', [productId]);
+      if (locked.status === 'sold') return { error: 'This item has already sold' };
+      if (await offerService.pendingAcceptedOffer(productId, client)) {
+        return { error: 'An offer on this item has been accepted and is awaiting payment' };
+      }
+      if (await raffleService.activeRaffle([productId], client)) {
+        return { error: 'This item is being sold by raffle' };
+      }
+      
+      const variant = await variantService.resolve(productId, req.body.variant_id, client);
+      const price = variant?.price || product.buy_it_now_price;
+      if (!price || price <= 0) return { error: 'Buy It Now not available for this product', status: 400 };
+      
+      const { rows: otherCheckouts } = await client.query(`
+        SELECT id FROM orders
+        WHERE product_id = $1 AND order_type = 'buy_now' AND status = 'pending' AND user_id <> $2 AND created_at > $3
+          AND ($4::integer IS NULL OR variant_id = $4)
+      `, [productId, req.session.user.id, dayjs().subtract(30, 'minute').toISOString(), variant?.id ?? null]);
+      
+      const { rows: liveAuctions } = await client.query(`
+        SELECT a.id, a.current_bid, a.status,
+          (SELECT COUNT(*) FROM auction_lot_items li WHERE li.auction_id = a.id)::integer as lot_size
+        FROM auctions a
+        WHERE a.status IN ('open', 'scheduled')
+          AND ${variant ? 'a.variant_id = $1' : '(a.product_id = $1 OR a.id IN (SELECT auction_id FROM auction_lot_items WHERE product_id = $1))'}
+      `, [variant ? variant.id : productId]);
+      
+      // Pairs not already in another buyer's checkout
+      const unclaimed = (variant ? variant.quantity : 1) - otherCheckouts.length;
+      if (unclaimed <= 0) {
+        return { error: variant ? `Another buyer is checking out the last pair in size ${variant.size} right now` : 'Another buyer is checking out this item right now' };
+      }
+      
+      // A size with more pairs than auctions sells a spare pair and leaves its
+      // auction running; otherwise buying ends the auction
+      const endsAuctions = !variant || unclaimed <= liveAuctions.length;
+      if (endsAuctions) {
+        const cutoff = buyNowCutoffBid(price);
+        for (const live of liveAuctions.filter(a => a.status === 'open')) {
+          if (live.lot_size > 1) return { error: 'This item is part of a lot auction and can only be bought with the lot' };
+          if (cutoff !== null && (live.current_bid || 0) >= cutoff) {
+            return { error: 'Buy It Now is no longer available: bidding has passed the cutoff' };
+          }
+        }
+      }
+      
+      const ended = endsAuctions ? await auctionScheduler.endForBuyNow(client, productId, variant?.id ?? null) : [];
+      
+      // Create order placeholder for Buy It Now
+      const orderResult = await client.query(
+        'INSERT INTO orders (product_id, variant_id, user_id, amount, order_type, status, created_at) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+        [productId, variant?.id ?? null, req.session.user.id, price, 'buy_now', 'pending', dayjs().toISOString()]
+      );
+      return { orderId: orderResult.rows[0].id, ended, variant, price };
+    });
+    if (purchase.error) return res.status(purchase.status || 409).send(purchase.error);
     
-    // Create order placeholder for Buy It Now
-    const orderResult = await query(
-      'INSERT INTO orders (product_id, user_id, amount, order_type, status, created_at) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
-      [productId, req.session.user.id, product.buy_it_now_price, 'buy_now', 'pending', dayjs().toISOString()]
-    );
-    const orderId = orderResult.rows[0].id;
+    const orderId = purchase.orderId;
+    await auctionScheduler.notifyBuyNowEnded(purchase.ended, req.session.user.id);
   
   try {
-    const sessionCreate = {
-      mode: 'payment',
-      payment_method_types: ['card', 'cashapp', 'us_bank_account', 'paypal'],
-      shipping_address_collection: { allowed_countries: ['US', 'CA'] },
-      line_items: [{
-        price_data: {
-          currency: 'usd',
-          product_data: {
-            name: `${product.brand} ${product.name} - Buy It Now`,
-            description: product.description || 'Premium sneaker'
-          },
-          unit_amount: product.buy_it_now_price * 100
-        },
-        quantity: 1
-      }],
-      success_url: `${req.protocol}://${req.get('host')}/order/${orderId}/success`,
-      cancel_url: `${req.protocol}://${req.get('host')}/order/${orderId}/cancel`
-    };
-    
-    if (connectedId) {
-      sessionCreate.payment_intent_data = {
-        transfer_data: { destination: connectedId }
-      };
-    }
-    
-    const session = await stripe.checkout.sessions.create(sessionCreate);
-    await query('UPDATE orders SET stripe_session_id = $1 WHERE id = $2', [session.id, orderId]);
-    res.redirect(session.url);
+    const label = purchase.variant ? `Buy It Now - Size ${purchase.variant.size}` : 'Buy It Now';
+    await redirectToProductCheckout(req, res, { product, orderId, amount: purchase.price, label });
   } catch (e) {
     logger.error('Buy It Now error:', e);
     res.status(500).send('Stripe error: ' + e.message);
   }
   } catch (error) {
+    if (error instanceof VariantError) return res.status(error.status).send(error.message);
     logger.error('Error in buy-now:', error);
     res.status(500).send('Internal server error');
   }
 });
 
+// Product page: Buy It Now and best offers for products outside an auction
+app.get('/product/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const product = await prepare('SELECT * FROM products WHERE id = $1').get([id]);
+    if (!product) return res.status(404).send('Product not found');
+
+    const images = await prepare('SELECT * FROM product_images WHERE product_id = $1 ORDER BY display_order, id').all([id]);
+    
+    // Products in several sizes list each size with its own price, stock and auction
+    const variants = await variantService.forProduct(id);
+    const sizeAuctions = await prepare(
+      "SELECT id, status, variant_id FROM auctions WHERE product_id = $1 AND variant_id IS NOT NULL AND status IN ('open', 'scheduled')"
+    ).all([id]);
+    const sizes = variants.map(v => ({
+      ...v,
+      price: v.price || product.buy_it_now_price,
+      inStock: inStock(v),
+      auction: sizeAuctions.find(a => a.variant_id === v.id) || null
+    }));
+    const activeAuction = sizes.length > 1 ? null : await prepare(
+      "SELECT id, status FROM auctions WHERE product_id = $1 AND status IN ('open', 'scheduled') ORDER BY id DESC LIMIT 1"
+    ).get([id]);
+    const offerBlockedReason = await offerService.unavailableReason(product);
+    const myOffers = req.session.user ? await offerService.forUser(id, req.session.user.id) : [];
+
+    res.render('product', {
+      user: req.session.user,
+      product,
+      images,
+      sizes,
+      activeAuction,
+      offerBlockedReason,
+      myOffers,
+      error: req.query.error || null,
+      success: req.query.success || null,
+      dayjs
+    });
+  } catch (error) {
+    logger.error('Error loading product page:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Make an offer on a product
+app.post('/product/:id/offers', ensureAuth, async (req, res) => {
+  const productId = Number(req.params.id);
+  try {
+    await offerService.submit(productId, req.session.user.id, {
+      amount: req.body.amount,
+      message: req.body.message
+    });
+    res.redirect(`/product/${productId}?success=` + encodeURIComponent('Offer sent! We will let you know when the seller responds.'));
+  } catch (error) {
+    if (!(error instanceof OfferError)) {
+      logger.error('Error submitting offer:', error);
+      return res.status(500).send('Internal server error');
+    }
+    if (error.status === 404) return res.status(404).send(error.message);
+    res.redirect(`/product/${productId}?error=` + encodeURIComponent(error.message));
+  }
+});
+
+// Buyer accepts or declines a counter-offer
+app.post('/offers/:id/:decision(accept|decline)', ensureAuth, async (req, res) => {
+  const offerId = Number(req.params.id);
+  try {
+    const result = req.params.decision === 'accept'
+      ? await offerService.accept(offerId, { byUserId: req.session.user.id })
+      : await offerService.decline(offerId, { byUserId: req.session.user.id });
+    const productId = result.offer ? result.offer.product_id : result.product_id;
+    res.redirect(`/product/${productId}?success=` + encodeURIComponent(req.params.decision === 'accept'
+      ? 'Counter-offer accepted. Complete checkout to claim it.'
+      : 'Counter-offer declined.'));
+  } catch (error) {
+    if (error instanceof OfferError) return res.status(error.status).send(error.message);
+    logger.error('Error answering counter-offer:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Pay for an accepted offer through the same Stripe checkout as Buy It Now
+app.post('/offers/:id/checkout', ensureAuth, async (req, res) => {
+  try {
+    const offer = await prepare(`
+      SELECT o.*, ord.amount as order_amount, ord.status as order_status
+      FROM offers o JOIN orders ord ON ord.id = o.order_id
+      WHERE o.id = $1 AND o.user_id = $2 AND o.status = 'accepted'
+    `).get([Number(req.params.id), req.session.user.id]);
+
+    if (!offer) return res.status(404).send('Offer not found');
+    if (offer.order_status === 'expired') return res.status(400).send('The payment window for this offer has closed');
+    if (offer.order_status !== 'pending') return res.status(400).send('This offer has already been paid for');
+    if (!stripe) return res.status(500).send('Stripe not configured');
+
+    const product = await prepare('SELECT * FROM products WHERE id = $1').get([offer.product_id]);
+    try {
+      await redirectToProductCheckout(req, res, { product, orderId: offer.order_id, amount: offer.order_amount, label: 'Accepted Offer' });
+    } catch (e) {
+      logger.error('Offer checkout error:', e);
+      res.status(500).send('Stripe error: ' + e.message);
+    }
+  } catch (error) {
+    logger.error('Error in offer checkout:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
 // Order status pages
 app.get('/order/:id/success', ensureAuth, async (req, res) => {
   const orderId = Number(req.params.id);
@@ -785,10 +1394,17 @@ app.post('/payment/razorpay/verify', ensureAuth, async (req, res) => {
     const payment = await razorpay.payments.fetch(razorpay_payment_id);
     const fees = payment.fee ? payment.fee / 100 : 0; // Convert from paise to currency
 
-    // Update order with payment confirmation
-    await prepare(
-      'UPDATE orders SET status = $1, gateway_transaction_id = $2, gateway_fees = $3 WHERE id = $4'
-    ).run(['paid', razorpay_payment_id, fees, order.id]);
+    // Update order with payment confirmation. As with Stripe, only a pending
+    // order can be paid; a payment for one that has closed is refunded.
+    const { rows: [paidOrder] } = await query(`
+      UPDATE orders SET status = 'paid', gateway_transaction_id = $1, gateway_fees = $2
+      WHERE id = $3 AND status = 'pending' RETURNING id
+    `, [razorpay_payment_id, fees, order.id]);
+    if (!paidOrder) {
+      await refundLatePayment(order, razorpay_payment_id);
+      return res.status(409).json({ error: 'This order is no longer awaiting payment, so your payment was not accepted' });
+    }
+    await completePaidOrder(order);
 
     // Update gateway analytics
     await updateGatewayAnalytics('razorpay', order.amount, fees, true);
@@ -860,49 +1476,18 @@ app.post('/webhook/stripe', bodyParser.raw({ type: 'application/json' }), async
       const session = event.data.object;
       const order = await prepare('SELECT * FROM orders WHERE stripe_session_id = $1').get([session.id]);
       if (order) {
-        await prepare('UPDATE orders SET status = $1, payment_intent_id = $2 WHERE id = $3')
-          .run(['paid', session.payment_intent || null, order.id]);
-
-      // Capture shipping details into a shipment record (if provided by Checkout)
-      const ship = session.shipping_details || session.customer_details || null;
-      if (ship && ship.address) {
-        const addr = ship.address;
-        
-        // Store shipping address
-        await prepare(`
-          INSERT INTO shipping_addresses (
-            order_id, type, name, address_line1, address_line2, 
-            city, state, postal_code, country, phone, created_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-        `).run([
-          order.id,
-          'to',
-          ship.name || 'Customer',
-          addr.line1 || null,
-          addr.line2 || null,
-          addr.city || null,
-          addr.state || addr.state_province || null,
-          addr.postal_code || null,
-          addr.country || 'US',
-          ship.phone || null,
-          dayjs().toISOString()
-        ]);
-        
-        // Auto-generate shipping label if enabled
-        if (process.env.AUTO_GENERATE_LABELS === 'true') {
-          setTimeout(async () => {
-            try {
-              await autoGenerateShippingLabel(order.id);
-            } catch (error) {
-              logger.error('Auto shipping label generation failed:', {
-                orderId: order.id,
-                error: error.message
-              });
-            }
-          }, 2000); // Small delay to ensure all data is committed
+        // Only a pending order can be paid: an expired one may already have
+        // gone to the next bidder, so a late checkout is refunded instead
+        const { rows: [paidOrder] } = await query(`
+          UPDATE orders SET status = 'paid', payment_intent_id = $1 WHERE id = $2 AND status = 'pending' RETURNING id
+        `, [session.payment_intent || null, order.id]);
+        if (!paidOrder) {
+          await refundLatePayment(order, session.payment_intent || null);
+          return res.sendStatus(200);
         }
+        // Shipping details collected by Checkout, if any
+        await completePaidOrder(order, session.shipping_details || session.customer_details || null);
       }
-    }
     } catch (error) {
       logger.error('Error processing Stripe webhook:', error);
     }
@@ -910,6 +1495,88 @@ app.post('/webhook/stripe', bodyParser.raw({ type: 'application/json' }), async
   res.sendStatus(200);
 });
 
+// Everything that follows a confirmed payment, however it was taken: what the
+// order covers is marked sold, and the buyer's address (Stripe's { name,
+// phone, address } shape) is stored for shipping, with a label queued when
+// labels are generated automatically
+async function completePaidOrder(order, shipTo = null) {
+  await lotService.markOrderSold(order);
+  if (!shipTo?.address) return;
+
+  const addr = shipTo.address;
+  await prepare(`
+    INSERT INTO shipping_addresses (
+      order_id, type, name, address_line1, address_line2, 
+      city, state, postal_code, country, phone, created_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  `).run([
+    order.id,
+    'to',
+    shipTo.name || 'Customer',
+    addr.line1 || null,
+    addr.line2 || null,
+    addr.city || null,
+    addr.state || addr.state_province || null,
+    addr.postal_code || null,
+    addr.country || 'US',
+    shipTo.phone || null,
+    dayjs().toISOString()
+  ]);
+
+  // Auto-generate shipping label if enabled
+  if (process.env.AUTO_GENERATE_LABELS === 'true') {
+    setTimeout(async () => {
+      try {
+        await autoGenerateShippingLabel(order.id);
+      } catch (error) {
+        logger.error('Auto shipping label generation failed:', {
+          orderId: order.id,
+          error: error.message
+        });
+      }
+    }, 2000); // Small delay to ensure all data is committed
+  }
+}
+
+// Refund a payment (a Stripe payment intent or a Razorpay payment) that
+// completed for an order that was no longer pending. A repeat confirmation of
+// a payment already recorded on the order is ignored. If the refund fails the
+// order is flagged for an admin.
+async function refundLatePayment(order, paymentIntentId) {
+  if (paymentIntentId && order.payment_intent_id === paymentIntentId) return;
+
+  let outcome = 'refund_failed';
+  try {
+    if (paymentIntentId && order.payment_gateway === 'razorpay') {
+      await razorpay.payments.refund(paymentIntentId, {});
+      outcome = 'refunded';
+    } else if (paymentIntentId) {
+      await stripe.refunds.create({ payment_intent: paymentIntentId });
+      outcome = 'refunded';
+    }
+  } catch (error) {
+    logger.error('Failed to refund late payment', { orderId: order.id, paymentIntentId, error: error.message });
+  }
+
+  await query('UPDATE orders SET late_payment = $1, payment_intent_id = COALESCE(payment_intent_id, $2) WHERE id = $3',
+    [outcome, paymentIntentId, order.id]);
+  logger.warn('Payment received for an order that is no longer pending', {
+    orderId: order.id,
+    status: order.status,
+    paymentIntentId,
+    outcome
+  });
+
+  await notificationService.notify(order.user_id, {
+    type: 'late_payment',
+    title: `Payment for order #${order.id} not accepted`,
+    message: outcome === 'refunded'
+      ? 'Your payment arrived after this order had closed, so it has been refunded in full.'
+      : "Your payment arrived after this order had closed. We'll refund it shortly.",
+    link: '/my-orders'
+  });
+}
+
 // Helper function for automatic shipping label generation
 async function autoGenerateShippingLabel(orderId) {
   try {
@@ -1330,23 +1997,53 @@ app.post('/admin/import', ensureAdmin, upload.single('csv'), async (req, res) =>
     const buf = fs.readFileSync(req.file.path);
     const rows = parse(buf, { columns: true, skip_empty_lines: true, relax_column_count: true, relax_quotes: true, trim: true, bom: true });
     let added = 0;
+    let sizesSaved = 0;
+    const skipped = [];
     
-    for (const r of rows) {
-      const brand = (r.brand || '').trim();
-      if (!allowedBrand(brand)) continue;
+    // Each row is one size; rows sharing a brand and SKU are sizes of one
+    // product, and add to a product already on file with that brand and SKU
+    const productsBySku = new Map();
+    for (const [index, r] of rows.entries()) {
+      // Header is line 1, so data rows start at line 2
+      const line = index + 2;
+      const brandRow = await brandService.resolve(r.brand);
+      if (!brandRow) {
+        skipped.push(`line ${line}: unknown brand "${(r.brand || '').trim()}"`);
+        continue;
+      }
+      const brand = brandRow.name;
       
-      await prepare('INSERT INTO products (brand, name, sku, size, description, image_url, highest_market_price) VALUES ($1, $2, $3, $4, $5, $6, $7)').run([
-        brand,
-        (r.name || '').trim(),
-        (r.sku || '').trim(),
-        (r.size || '').trim(),
-        (r.description || '').trim(),
-        (r.image_url || '').trim(),
-        Number(r.highest_market_price || 0)
-      ]);
-      added++;
+      const sku = (r.sku || '').trim();
+      const skuKey = `${brand.toLowerCase()}|${sku.toLowerCase()}`;
+      let productId = sku ? productsBySku.get(skuKey) : null;
+      if (!productId && sku) {
+        const existing = await prepare('SELECT id FROM products WHERE LOWER(brand) = LOWER($1) AND LOWER(sku) = LOWER($2) ORDER BY id LIMIT 1').get([brand, sku]);
+        productId = existing?.id;
+      }
+      if (!productId) {
+        const { rows: [created] } = await query(
+          'INSERT INTO products (brand, name, sku, description, image_url, highest_market_price, buy_it_now_price) VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id',
+          [brand, (r.name || '').trim(), sku, (r.description || '').trim(), (r.image_url || '').trim(), Number(r.highest_market_price || 0), Number(r.buy_it_now_price || 0)]
+        );
+        productId = created.id;
+        added++;
+      }
+      if (sku) productsBySku.set(skuKey, productId);
+      
+      if ((r.size || '').trim()) {
+        try {
+          await variantService.upsert(productId, { size: r.size, quantity: r.quantity, price: r.size_price });
+          sizesSaved++;
+        } catch (error) {
+          if (!(error instanceof VariantError)) throw error;
+          skipped.push(`line ${line}: ${error.message}`);
+        }
+      }
     }
-    res.render('admin/import', { user: req.session.user, error: null, success: `Imported ${added} products` });
+    
+    let success = `Imported ${added} products and ${sizesSaved} sizes`;
+    if (skipped.length > 0) success += `. Skipped ${skipped.length} row${skipped.length === 1 ? '' : 's'} (${skipped.join('; ')})`;
+    res.render('admin/import', { user: req.session.user, error: null, success });
   } catch (error) {
     logger.error('Import error:', error);
     res.render('admin/import', { user: req.session.user, error: 'Import failed: ' + error.message, success: null });
@@ -1356,20 +2053,255 @@ app.post('/admin/import', ensureAdmin, upload.single('csv'), async (req, res) =>
 // Admin: create auction for a product
 app.post('/admin/auctions', ensureAdmin, async (req, res) => {
   try {
-    const { product_id, starting_bid } = req.body;
+    // Same rules as the API; the form's auctions run 10 days unless it sets an end time
+    const created = await createAuction({ ...req.body, duration: req.body.duration || 10 }, req.session.user.email);
+    if (created.error) return res.status(created.status).send(created.error);
+    res.redirect(created.schedule.status === 'scheduled' ? '/drops' : '/');
+  } catch (error) {
+    if (error instanceof LotError || error instanceof VariantError) return res.status(error.status).send(error.message);
+    logger.error('Error creating auction:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Admin: site-wide bid increment table
+app.get('/admin/bid-increments', ensureAdmin, async (req, res) => {
+  try {
+    const table = await biddingService.siteIncrementTable();
+    res.render('admin/bid-increments', {
+      user: req.session.user,
+      increments: formatIncrementTable(table),
+      table,
+      error: null,
+      success: req.query.saved ? 'Bid increments saved' : null
+    });
+  } catch (error) {
+    logger.error('Error loading bid increments:', error);
+    res.status(500).send('Internal server error');
+  }
+});
 
-    const product = await prepare('SELECT id FROM products WHERE id = $1').get([Number(product_id)]);
-    if (!product) {
-      return res.status(404).send('Product not found');
+app.post('/admin/bid-increments', ensureAdmin, async (req, res) => {
+  try {
+    const parsed = parseIncrementTable(req.body.bid_increments);
+    if (parsed.error || !parsed.table) {
+      const table = await biddingService.siteIncrementTable();
+      return res.status(400).render('admin/bid-increments', {
+        user: req.session.user,
+        increments: req.body.bid_increments || '',
+        table,
+        error: parsed.error || 'Enter at least one increment',
+        success: null
+      });
     }
 
-    const start = dayjs();
-    const end = start.add(10, 'day');
-    await prepare('INSERT INTO auctions (product_id, start_time, end_time, starting_bid, status) VALUES ($1, $2, $3, $4, $5)')
-      .run([Number(product_id), start.toISOString(), end.toISOString(), Number(starting_bid || 0), 'open']);
-    res.redirect('/');
+    await setSetting('bid_increments', JSON.stringify(parsed.table));
+    logger.info('Bid increments updated', { table: parsed.table, updatedBy: req.session.user.email });
+    res.redirect('/admin/bid-increments?saved=1');
   } catch (error) {
-    logger.error('Error creating auction:', error);
+    logger.error('Error saving bid increments:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Admin: offer an auction whose winner didn't pay to the next-highest bidder
+app.post('/admin/auctions/:id/second-chance', ensureAdmin, async (req, res) => {
+  try {
+    await secondChanceService.offer(Number(req.params.id), { offeredBy: req.session.user.email });
+    res.redirect('/admin/sales');
+  } catch (error) {
+    if (error instanceof SecondChanceError) return res.status(error.status).send(error.message);
+    logger.error('Error making second-chance offer:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Admin: raffles
+app.get('/admin/raffles', ensureAdmin, async (req, res) => {
+  try {
+    const raffles = await prepare(`
+      SELECT r.id, r.product_id, r.price, r.winner_count, r.start_time, r.end_time, r.status, r.seed_hash, r.drawn_at,
+        p.name as product_name, p.brand,
+        (SELECT COUNT(*) FROM raffle_entries e WHERE e.raffle_id = r.id)::integer as entry_count,
+        (SELECT COUNT(*) FROM raffle_entries e JOIN orders o ON o.id = e.order_id
+          WHERE e.raffle_id = r.id AND o.status = 'paid')::integer as paid_count
+      FROM raffles r JOIN products p ON p.id = r.product_id
+      ORDER BY r.id DESC
+    `).all();
+    res.render('admin/raffles', {
+      user: req.session.user,
+      raffles,
+      productId: req.query.product_id || '',
+      checkoutHours: raffleService.checkoutHours,
+      error: req.query.error || null,
+      dayjs
+    });
+  } catch (error) {
+    logger.error('Error loading raffles:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+app.post('/admin/raffles', ensureAdmin, async (req, res) => {
+  try {
+    const schedule = auctionWindow(req.body, 3);
+    if (schedule.error) return res.redirect('/admin/raffles?error=' + encodeURIComponent(schedule.error));
+
+    await raffleService.create({
+      productId: Number(req.body.product_id),
+      variantId: req.body.variant_id || null,
+      price: req.body.price,
+      winnerCount: req.body.winner_count,
+      start: schedule.start,
+      end: schedule.end,
+      status: schedule.status
+    });
+    res.redirect('/admin/raffles');
+  } catch (error) {
+    if (error instanceof RaffleError || error instanceof VariantError) {
+      return res.redirect('/admin/raffles?error=' + encodeURIComponent(error.message));
+    }
+    logger.error('Error creating raffle:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Admin: close entries early and draw now
+app.post('/admin/raffles/:id/draw', ensureAdmin, async (req, res) => {
+  try {
+    const outcome = await raffleService.draw(Number(req.params.id));
+    if (!outcome) return res.status(400).send('Only open raffles can be drawn');
+    logger.info('Raffle drawn early', { raffleId: Number(req.params.id), admin: req.session.user.email });
+    res.redirect('/admin/raffles');
+  } catch (error) {
+    logger.error('Error drawing raffle:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Auction templates: reusable settings for /api/auctions and bulk listing
+app.get('/admin/auction-templates', ensureAdmin, async (req, res) => {
+  try {
+    const templates = await auctionTemplateService.list();
+    res.render('admin/auction-templates', {
+      user: req.session.user,
+      templates,
+      formatIncrementTable,
+      error: req.query.error || null
+    });
+  } catch (error) {
+    logger.error('Error loading auction templates:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+app.post('/admin/auction-templates', ensureAdmin, async (req, res) => {
+  try {
+    await auctionTemplateService.create(req.body, req.session.user.id);
+    res.redirect('/admin/auction-templates');
+  } catch (error) {
+    if (error instanceof AuctionTemplateError) return res.redirect('/admin/auction-templates?error=' + encodeURIComponent(error.message));
+    logger.error('Error creating auction template:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+app.post('/admin/auction-templates/:id/delete', ensureAdmin, async (req, res) => {
+  try {
+    await auctionTemplateService.remove(Number(req.params.id));
+    res.redirect('/admin/auction-templates');
+  } catch (error) {
+    if (error instanceof AuctionTemplateError) return res.redirect('/admin/auction-templates?error=' + encodeURIComponent(error.message));
+    logger.error('Error deleting auction template:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Brand catalog: the brands products may be listed under, with aliases and parents
+app.get('/admin/brands', ensureAdmin, async (req, res) => {
+  try {
+    const brands = await brandService.list();
+    res.render('admin/brands', { user: req.session.user, brands, error: req.query.error || null });
+  } catch (error) {
+    logger.error('Error loading brands:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+app.post('/admin/brands', ensureAdmin, async (req, res) => {
+  try {
+    await brandService.create(req.body);
+    res.redirect('/admin/brands');
+  } catch (error) {
+    if (error instanceof BrandError) return res.redirect('/admin/brands?error=' + encodeURIComponent(error.message));
+    logger.error('Error creating brand:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+app.post('/admin/brands/:id', ensureAdmin, async (req, res) => {
+  try {
+    await brandService.update(Number(req.params.id), req.body);
+    res.redirect('/admin/brands');
+  } catch (error) {
+    if (error instanceof BrandError) return res.redirect('/admin/brands?error=' + encodeURIComponent(error.message));
+    logger.error('Error updating brand:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+app.post('/admin/brands/:id/delete', ensureAdmin, async (req, res) => {
+  try {
+    await brandService.remove(Number(req.params.id));
+    res.redirect('/admin/brands');
+  } catch (error) {
+    if (error instanceof BrandError) return res.redirect('/admin/brands?error=' + encodeURIComponent(error.message));
+    logger.error('Error deleting brand:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Bid review queue: bidding the pattern analyzer flagged as suspicious
+app.get('/admin/bid-flags', ensureAdmin, async (req, res) => {
+  try {
+    const flags = await bidPatternAnalyzer.openFlags();
+    res.render('admin/bid-flags', { user: req.session.user, flags, reasons: FLAG_REASONS, error: req.query.error || null, dayjs });
+  } catch (error) {
+    logger.error('Error loading bid flags:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Void the flagged account's bids on the auction (repricing it) or dismiss the flag
+app.post('/admin/bid-flags/:id/:action(void|dismiss)', ensureAdmin, async (req, res) => {
+  try {
+    const flag = await bidPatternAnalyzer.getFlag(Number(req.params.id));
+    if (!flag || flag.status !== 'open') return res.status(404).send('Flag not found');
+
+    if (req.params.action === 'dismiss') {
+      await bidPatternAnalyzer.resolve(flag, 'dismissed', req.session.user.id);
+      return res.redirect('/admin/bid-flags');
+    }
+
+    const result = await biddingService.voidBids(flag.auction_id, flag.user_id, {
+      reason: 'flagged',
+      actorId: req.session.user.id,
+      note: FLAG_REASONS[flag.reason] || flag.reason
+    });
+    await bidPatternAnalyzer.resolve(flag, 'voided', req.session.user.id);
+    logger.info('Flagged bids voided by admin', { flagId: flag.id, auctionId: flag.auction_id, userId: flag.user_id, admin: req.session.user.email });
+
+    await announceRepricing(flag.auction_id, flag.user_id, result);
+    await notificationService.notify(flag.user_id, {
+      type: 'bids_voided',
+      title: `Your bids on auction #${flag.auction_id} were removed`,
+      message: 'Our team reviewed the bidding on this auction and removed your bids. Contact support if you think this is a mistake.',
+      link: `/auction/${flag.auction_id}`
+    });
+    res.redirect('/admin/bid-flags');
+  } catch (error) {
+    if (error instanceof BidError) return res.redirect('/admin/bid-flags?error=' + encodeURIComponent(error.message));
+    logger.error('Error reviewing bid flag:', error);
     res.status(500).send('Internal server error');
   }
 });
@@ -1378,7 +2310,8 @@ app.post('/admin/auctions', ensureAdmin, async (req, res) => {
 app.get('/admin/sales', ensureAdmin, async (req, res) => {
   try {
     const orders = await prepare(`
-      SELECT o.*, a.id as auction_id, p.name as product_name, p.brand, u.email as buyer_email
+      SELECT o.*, a.id as auction_id, p.name as product_name, p.brand, u.email as buyer_email,
+        u.unpaid_count as buyer_unpaid_count, u.last_unpaid_at as buyer_last_unpaid_at
       FROM orders o
       JOIN auctions a ON a.id = o.auction_id
       JOIN products p ON p.id = a.product_id
@@ -1474,29 +2407,35 @@ app.get('/admin/export/products', ensureAdmin, async (req, res) => {
   try {
     const result = await query(`
       SELECT 
-        id,
-        brand,
-        name,
-        sku,
-        size,
-        description,
-        image_url,
-        highest_market_price,
-        is_featured,
-        buy_it_now_price
-      FROM products 
-      ORDER BY brand, name
+        p.id,
+        v.id as variant_id,
+        p.brand,
+        p.name,
+        p.sku,
+        COALESCE(v.size, p.size) as size,
+        v.quantity,
+        v.price as size_price,
+        p.description,
+        p.image_url,
+        p.highest_market_price,
+        p.is_featured,
+        p.buy_it_now_price
+      FROM products p
+      LEFT JOIN product_variants v ON v.product_id = p.id
+      ORDER BY p.brand, p.name, p.id, v.id
     `);
     
+    // One row per size; products without sizes get a single row
     const products = result.rows;
 
     // Convert to CSV format
-    const csvHeaders = ['id', 'brand', 'name', 'sku', 'size', 'description', 'image_url', 'highest_market_price', 'is_featured', 'buy_it_now_price'];
+    const csvHeaders = ['id', 'variant_id', 'brand', 'name', 'sku', 'size', 'quantity', 'size_price', 'description', 'image_url', 'highest_market_price', 'is_featured', 'buy_it_now_price'];
     let csvContent = csvHeaders.join(',') + '\n';
     
     products.forEach(product => {
       const row = csvHeaders.map(header => {
-        let value = product[header] || '';
+        // ?? rather than ||, so a sold-out size exports a quantity of 0
+        let value = product[header] ?? '';
         // Escape commas and quotes in CSV
         if (typeof value === 'string' && (value.includes(',') || value.includes('"') || value.includes('\n'))) {
           value = '"' + value.replace(/"/g, '""') + '"';
@@ -1537,7 +2476,7 @@ app.get('/admin/export/orders', ensureAdmin, async (req, res) => {
         p.brand,
         p.name as product_name,
         p.sku,
-        p.size,
+        COALESCE(v.size, p.size) as size,
         o.amount,
         o.status,
         u.email as buyer_email,
@@ -1549,6 +2488,7 @@ app.get('/admin/export/orders', ensureAdmin, async (req, res) => {
       FROM orders o
       LEFT JOIN auctions a ON a.id = o.auction_id
       LEFT JOIN products p ON p.id = COALESCE(a.product_id, o.product_id)
+      LEFT JOIN product_variants v ON v.id = COALESCE(o.variant_id, a.variant_id)
       LEFT JOIN users u ON u.id = o.user_id
       LEFT JOIN shipments s ON s.order_id = o.id
       ORDER BY o.created_at DESC
@@ -1602,7 +2542,7 @@ app.get('/admin/export/auctions', ensureAdmin, async (req, res) => {
         p.brand,
         p.name as product_name,
         p.sku,
-        p.size,
+        COALESCE(v.size, p.size) as size,
         a.start_time,
         a.end_time,
         a.starting_bid,
@@ -1612,6 +2552,7 @@ app.get('/admin/export/auctions', ensureAdmin, async (req, res) => {
         p.highest_market_price
       FROM auctions a
       JOIN products p ON p.id = a.product_id
+      LEFT JOIN product_variants v ON v.id = a.variant_id
       LEFT JOIN users u ON u.id = a.current_bid_user_id
       ORDER BY a.created_at DESC
     `);
@@ -1746,163 +2687,295 @@ app.post('/admin/orders/:id/create-label', ensureAdmin, async (req, res) => {
       console.warn('FedEx label attempt failed, falling back to placeholder:', e.message);
     }
   }
-
-  // Placeholder label
-  const labelDir = process.env.NODE_ENV === 'production' ? '/tmp/labels' : path.join(__dirname, 'labels');
-  if (!fs.existsSync(labelDir)) fs.mkdirSync(labelDir, { recursive: true });
-  const labelPath = path.join(labelDir, `label_order_${orderId}.pdf`);
-  const doc = new PDFDocument({ size: 'A4' });
-  const stream = fs.createWriteStream(labelPath);
-  doc.pipe(stream);
-  doc.fontSize(20).text('Shipping Label (Placeholder)', { align: 'center' });
-  doc.moveDown();
-  doc.fontSize(12).text(`Order #${orderId}`);
-  doc.text(`Carrier: FedEx (set FEDEX_CLIENT_ID/SECRET/ACCOUNT_NUMBER and SHIP_FROM_* for live labels)`);
-  doc.text(`Tracking: TBD`);
-  doc.end();
-  stream.on('finish', () => {
-    db.prepare('INSERT INTO shipments (order_id, carrier, tracking_number, label_pdf_path, status) VALUES (?,?,?,?,?)')
-      .run(orderId, 'fedex', 'TBD', labelPath, 'created');
-    res.redirect('/admin/sales');
-  });
+
+  // Placeholder label
+  const labelDir = process.env.NODE_ENV === 'production' ? '/tmp/labels' : path.join(__dirname, 'labels');
+  if (!fs.existsSync(labelDir)) fs.mkdirSync(labelDir, { recursive: true });
+  const labelPath = path.join(labelDir, `label_order_${orderId}.pdf`);
+  const doc = new PDFDocument({ size: 'A4' });
+  const stream = fs.createWriteStream(labelPath);
+  doc.pipe(stream);
+  doc.fontSize(20).text('Shipping Label (Placeholder)', { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(12).text(`Order #${orderId}`);
+  doc.text(`Carrier: FedEx (set FEDEX_CLIENT_ID/SECRET/ACCOUNT_NUMBER and SHIP_FROM_* for live labels)`);
+  doc.text(`Tracking: TBD`);
+  doc.end();
+  stream.on('finish', () => {
+    db.prepare('INSERT INTO shipments (order_id, carrier, tracking_number, label_pdf_path, status) VALUES (?,?,?,?,?)')
+      .run(orderId, 'fedex', 'TBD', labelPath, 'created');
+    res.redirect('/admin/sales');
+  });
+});
+
+// Uline suggestion utility endpoint (returns URL to search)
+app.get('/admin/uline-suggestion', ensureAdmin, (req, res) => {
+  const { length, width, height } = req.query;
+  const L = Math.max(1, Number(length || 12) + 2);
+  const W = Math.max(1, Number(width || 8) + 2);
+  const H = Math.max(1, Number(height || 5) + 2);
+  const query = `${L}x${W}x${H}`;
+  const url = `https://www.uline.com/BL_4283/Corrugated-Boxes?keywords=${encodeURIComponent(query)}`;
+  res.json({ recommended: { length: L, width: W, height: H }, url });
+});
+
+// Views
+app.get('/admin', ensureAdmin, (req, res) => res.redirect('/admin/sales'));
+
+// Minimal pages
+app.get('/products', ensureAdmin, async (req, res) => {
+  try {
+    const products = await prepare('SELECT * FROM products ORDER BY id DESC').all();
+    
+    // Get auction data for each product
+    const productsWithAuctions = [];
+    for (const product of products) {
+      const auctions = await prepare('SELECT * FROM auctions WHERE product_id = $1 ORDER BY id DESC').all([product.id]);
+      const activeRaffle = await prepare(
+        "SELECT id, status FROM raffles WHERE product_id = $1 AND status IN ('scheduled', 'open') ORDER BY id DESC LIMIT 1"
+      ).get([product.id]);
+      productsWithAuctions.push({ ...product, auctions, activeRaffle });
+    }
+    
+    const openOffers = await offerService.openOffers();
+    const templates = await auctionTemplateService.list();
+    
+    res.render('admin/products', { user: req.session.user, products: productsWithAuctions, openOffers, templates });
+  } catch (error) {
+    logger.error('Error loading products:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Product edit page. The size, condition and flaw forms redirect back here
+// with ?error= or ?saved= naming what was saved.
+const EDIT_PRODUCT_SAVED = {
+  sizes: 'Sizes updated',
+  condition: 'Condition updated',
+  authentication: 'Authentication recorded',
+  flaws: 'Flaws updated'
+};
+
+async function renderEditProduct(req, res, id, { error = null, success = null } = {}) {
+  const product = await prepare('SELECT * FROM products WHERE id = $1').get([id]);
+  if (!product) return res.status(404).send('Product not found');
+  
+  const images = await prepare('SELECT * FROM product_images WHERE product_id = $1 ORDER BY display_order, id').all([id]);
+  
+  // Check for active auction for this product
+  const activeAuction = await prepare("SELECT * FROM auctions WHERE product_id = $1 AND status IN ('open', 'scheduled') ORDER BY id DESC LIMIT 1").get([id]);
+  
+  // Every auction this product has run in, including automatic relists
+  const auctionHistory = await prepare(`
+    SELECT a.*, v.size FROM auctions a LEFT JOIN product_variants v ON v.id = a.variant_id
+    WHERE a.product_id = $1 ORDER BY a.id DESC
+  `).all([id]);
+  
+  // Sizes with whether each is up in an auction, which blocks removing it
+  const variants = (await variantService.forProduct(id)).map(v => ({
+    ...v,
+    auction: auctionHistory.find(a => a.variant_id === v.id && ['open', 'scheduled'].includes(a.status)) || null
+  }));
+  
+  const flaws = await conditionService.flawsFor(id);
+  const verifiedBy = await conditionService.verifier(product);
+  const brands = await brandService.list();
+  
+  res.render('admin/edit-product', { 
+    user: req.session.user, 
+    product, 
+    images, 
+    activeAuction, 
+    auctionHistory, 
+    variants,
+    brands,
+    flaws,
+    verifiedBy,
+    accessories: accessoriesOf(product),
+    conditionLabels: CONDITION_LABELS,
+    error, 
+    success 
+  });
+}
+
+app.get('/products/:id/edit', ensureAdmin, async (req, res) => {
+  try {
+    await renderEditProduct(req, res, Number(req.params.id), {
+      error: req.query.error || null,
+      success: EDIT_PRODUCT_SAVED[req.query.saved] || null
+    });
+  } catch (error) {
+    logger.error('Error loading product edit page:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Sizes of a product: add one, change its stock/price/availability, or remove it
+app.post('/products/:id/variants', ensureAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    await variantService.add(id, req.body);
+    res.redirect(`/products/${id}/edit?saved=sizes#sizes`);
+  } catch (error) {
+    if (error instanceof VariantError) return res.redirect(`/products/${id}/edit?error=${encodeURIComponent(error.message)}#sizes`);
+    logger.error('Error adding size:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+app.post('/products/:id/variants/:variantId', ensureAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    await variantService.update(id, Number(req.params.variantId), { ...req.body, is_available: req.body.is_available ? 1 : 0 });
+    res.redirect(`/products/${id}/edit?saved=sizes#sizes`);
+  } catch (error) {
+    if (error instanceof VariantError) return res.redirect(`/products/${id}/edit?error=${encodeURIComponent(error.message)}#sizes`);
+    logger.error('Error updating size:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+app.post('/products/:id/variants/:variantId/delete', ensureAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    await variantService.remove(id, Number(req.params.variantId));
+    res.redirect(`/products/${id}/edit?saved=sizes#sizes`);
+  } catch (error) {
+    if (error instanceof VariantError) return res.redirect(`/products/${id}/edit?error=${encodeURIComponent(error.message)}#sizes`);
+    logger.error('Error removing size:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Condition grading, authentication result and flaws
+app.post('/products/:id/condition', ensureAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    await conditionService.updateCondition(id, req.body);
+    res.redirect(`/products/${id}/edit?saved=condition#condition`);
+  } catch (error) {
+    if (error instanceof ConditionError) return res.redirect(`/products/${id}/edit?error=${encodeURIComponent(error.message)}#condition`);
+    logger.error('Error updating condition:', error);
+    res.status(500).send('Internal server error');
+  }
 });
 
-// Uline suggestion utility endpoint (returns URL to search)
-app.get('/admin/uline-suggestion', ensureAdmin, (req, res) => {
-  const { length, width, height } = req.query;
-  const L = Math.max(1, Number(length || 12) + 2);
-  const W = Math.max(1, Number(width || 8) + 2);
-  const H = Math.max(1, Number(height || 5) + 2);
-  const query = `${L}x${W}x${H}`;
-  const url = `https://www.uline.com/BL_4283/Corrugated-Boxes?keywords=${encodeURIComponent(query)}`;
-  res.json({ recommended: { length: L, width: W, height: H }, url });
+app.post('/products/:id/authentication', ensureAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    await conditionService.setAuthentication(id, req.body.auth_status, req.session.user.id, req.body.auth_notes);
+    res.redirect(`/products/${id}/edit?saved=authentication#condition`);
+  } catch (error) {
+    if (error instanceof ConditionError) return res.redirect(`/products/${id}/edit?error=${encodeURIComponent(error.message)}#condition`);
+    logger.error('Error recording authentication:', error);
+    res.status(500).send('Internal server error');
+  }
 });
 
-// Views
-app.get('/admin', ensureAdmin, (req, res) => res.redirect('/admin/sales'));
+app.post('/products/:id/flaws', ensureAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  try {
+    await conditionService.addFlaw(id, req.body);
+    res.redirect(`/products/${id}/edit?saved=flaws#flaws`);
+  } catch (error) {
+    if (error instanceof ConditionError) return res.redirect(`/products/${id}/edit?error=${encodeURIComponent(error.message)}#flaws`);
+    logger.error('Error adding flaw:', error);
+    res.status(500).send('Internal server error');
+  }
+});
 
-// Minimal pages
-app.get('/products', ensureAdmin, async (req, res) => {
+app.post('/products/:id/flaws/:flawId/delete', ensureAdmin, async (req, res) => {
+  const id = Number(req.params.id);
   try {
-    const products = await prepare('SELECT * FROM products ORDER BY id DESC').all();
-    
-    // Get auction data for each product
-    const productsWithAuctions = [];
-    for (const product of products) {
-      const auctions = await prepare('SELECT * FROM auctions WHERE product_id = $1 ORDER BY id DESC').all([product.id]);
-      productsWithAuctions.push({ ...product, auctions });
-    }
-    
-    res.render('admin/products', { user: req.session.user, products: productsWithAuctions });
+    await conditionService.removeFlaw(id, Number(req.params.flawId));
+    res.redirect(`/products/${id}/edit?saved=flaws#flaws`);
   } catch (error) {
-    logger.error('Error loading products:', error);
+    if (error instanceof ConditionError) return res.redirect(`/products/${id}/edit?error=${encodeURIComponent(error.message)}#flaws`);
+    logger.error('Error removing flaw:', error);
     res.status(500).send('Internal server error');
   }
 });
 
-// Product edit page
-app.get('/products/:id/edit', ensureAdmin, async (req, res) => {
+// Toggle featured status
+app.post('/products/:id/toggle-featured', ensureAdmin, async (req, res) => {
   try {
     const id = Number(req.params.id);
     const product = await prepare('SELECT * FROM products WHERE id = $1').get([id]);
     if (!product) return res.status(404).send('Product not found');
     
-    const images = await prepare('SELECT * FROM product_images WHERE product_id = $1 ORDER BY display_order, id').all([id]);
-    
-    // Check for active auction for this product
-    const activeAuction = await prepare('SELECT * FROM auctions WHERE product_id = $1 AND status = $2 ORDER BY id DESC LIMIT 1').get([id, 'open']);
+    const newFeaturedStatus = product.is_featured ? 0 : 1;
+    await query('UPDATE products SET is_featured = $1 WHERE id = $2', [newFeaturedStatus, id]);
     
-    res.render('admin/edit-product', { 
-      user: req.session.user, 
-      product, 
-      images, 
-      activeAuction, 
-      error: null, 
-      success: null 
-    });
+    res.redirect('/products');
   } catch (error) {
-    logger.error('Error loading product edit page:', error);
+    logger.error('Error toggling featured status:', error);
     res.status(500).send('Internal server error');
   }
 });
 
-// Toggle featured status
-app.post('/products/:id/toggle-featured', ensureAdmin, async (req, res) => {
+// Open or close a product to best offers
+app.post('/products/:id/toggle-offers', ensureAdmin, async (req, res) => {
   try {
     const id = Number(req.params.id);
     const product = await prepare('SELECT * FROM products WHERE id = $1').get([id]);
     if (!product) return res.status(404).send('Product not found');
     
-    const newFeaturedStatus = product.is_featured ? 0 : 1;
-    await query('UPDATE products SET is_featured = $1 WHERE id = $2', [newFeaturedStatus, id]);
+    await query('UPDATE products SET accepts_offers = $1 WHERE id = $2', [product.accepts_offers ? 0 : 1, id]);
     
     res.redirect('/products');
   } catch (error) {
-    logger.error('Error toggling featured status:', error);
+    logger.error('Error toggling offers:', error);
     res.status(500).send('Internal server error');
   }
 });
 
-// Update product
-app.post('/products/:id/edit', ensureAdmin, (req, res) => {
-  const id = Number(req.params.id);
-  const product = db.prepare('SELECT * FROM products WHERE id = ?').get(id);
-  if (!product) return res.status(404).send('Product not found');
-  const images = db.prepare('SELECT * FROM product_images WHERE product_id = ? ORDER BY display_order, id').all(id);
-  
-  const { brand, name, sku, size, description, image_url, highest_market_price, buy_it_now_price } = req.body;
-  const brandTrimmed = (brand || '').trim();
-  
-  if (!allowedBrand(brandTrimmed)) {
-    const activeAuction = db.prepare('SELECT * FROM auctions WHERE product_id = ? AND status = ? ORDER BY id DESC LIMIT 1').get(id, 'open');
-    return res.render('admin/edit-product', { 
-      user: req.session.user, 
-      product,
-      images, 
-      activeAuction,
-      error: 'Brand must be one of: Nike, Adidas, Reebok, New Balance', 
-      success: null 
-    });
+// Admin: accept, decline or counter a buyer's offer
+app.post('/admin/offers/:id/:action(accept|decline|counter)', ensureAdmin, async (req, res) => {
+  try {
+    const offerId = Number(req.params.id);
+    if (req.params.action === 'accept') await offerService.accept(offerId);
+    else if (req.params.action === 'decline') await offerService.decline(offerId);
+    else await offerService.counter(offerId, req.body.counter_amount);
+    
+    logger.info('Offer answered by admin', { offerId, action: req.params.action, admin: req.session.user.email });
+    res.redirect('/products');
+  } catch (error) {
+    if (error instanceof OfferError) return res.status(error.status).send(error.message);
+    logger.error('Error answering offer:', error);
+    res.status(500).send('Internal server error');
   }
+});
+
+// Update product. Sizes are edited separately, so products.size (their summary) isn't touched.
+app.post('/products/:id/edit', ensureAdmin, async (req, res) => {
+  const id = Number(req.params.id);
+  const { brand, name, sku, description, image_url, highest_market_price, buy_it_now_price } = req.body;
   
   try {
-    db.prepare(`
+    const brandRow = await brandService.resolve(brand);
+    if (!brandRow) {
+      return await renderEditProduct(req, res, id, { error: 'Brand must be one of the brands in the catalog; add new ones under Brands' });
+    }
+    
+    await query(`
       UPDATE products 
-      SET brand = ?, name = ?, sku = ?, size = ?, description = ?, image_url = ?, highest_market_price = ?, buy_it_now_price = ?
-      WHERE id = ?
-    `).run(
-      brandTrimmed,
+      SET brand = $1, name = $2, sku = $3, description = $4, image_url = $5, highest_market_price = $6, buy_it_now_price = $7
+      WHERE id = $8
+    `, [
+      brandRow.name,
       (name || '').trim(),
       (sku || '').trim(),
-      (size || '').trim(),
       (description || '').trim(),
       (image_url || '').trim(),
       Number(highest_market_price || 0),
       Number(buy_it_now_price || 0),
       id
-    );
+    ]);
     
-    const updatedProduct = db.prepare('SELECT * FROM products WHERE id = ?').get(id);
-    const updatedImages = db.prepare('SELECT * FROM product_images WHERE product_id = ? ORDER BY display_order, id').all(id);
-    const activeAuction = db.prepare('SELECT * FROM auctions WHERE product_id = ? AND status = ? ORDER BY id DESC LIMIT 1').get(id, 'open');
-    res.render('admin/edit-product', { 
-      user: req.session.user, 
-      product: updatedProduct,
-      images: updatedImages, 
-      activeAuction,
-      error: null, 
-      success: 'Product updated successfully!' 
-    });
+    await renderEditProduct(req, res, id, { success: 'Product updated successfully!' });
   } catch (e) {
-    const activeAuction = db.prepare('SELECT * FROM auctions WHERE product_id = ? AND status = ? ORDER BY id DESC LIMIT 1').get(id, 'open');
-    res.render('admin/edit-product', { 
-      user: req.session.user, 
-      product,
-      images, 
-      activeAuction,
-      error: 'Failed to update product: ' + e.message, 
-      success: null 
-    });
+    logger.error('Error updating product:', e);
+    await renderEditProduct(req, res, id, { error: 'Failed to update product: ' + e.message });
   }
 });
 
@@ -1947,60 +3020,176 @@ app.delete('/api/products/:productId/images/:imageId', ensureAdmin, (req, res) =
   }
 });
 
-// API: Create auction
+// Create one auction from an /api/auctions request body. Returns
+// { auctionId, schedule } or { status, error }; lot and size problems throw
+// LotError and VariantError.
+async function createAuction(body, createdBy, template = null) {
+  if (!body.product_id) return { status: 400, error: 'Missing required fields' };
+  const productId = Number(body.product_id);
+  
+  // Check if product exists
+  const product = await prepare('SELECT * FROM products WHERE id = $1').get([productId]);
+  if (!product) return { status: 404, error: 'Product not found' };
+  
+  if (template) body = auctionTemplateService.applyTo(template, product, body);
+  const { starting_bid, duration, reserve_price } = body;
+  
+  if (!starting_bid || (!duration && !body.end_time)) {
+    return { status: 400, error: 'Missing required fields' };
+  }
+  
+  const startingBid = Number(starting_bid);
+  const durationDays = Number(duration);
+  const reservePrice = Number(reserve_price) > 0 ? Math.floor(Number(reserve_price)) : null;
+  
+  if (reservePrice !== null && reservePrice < startingBid) {
+    return { status: 400, error: 'Reserve price must be at least the starting bid' };
+  }
+  
+  // Extra products turn the auction into a lot led by product_id
+  const lot = parseLotProductIds(body.lot_product_ids);
+  if (lot.error) return { status: 400, error: lot.error };
+  const lotIds = [productId, ...lot.productIds.filter(id => id !== productId)];
+  
+  // A product sold in sizes is auctioned one pair of one size at a time; lots sell whole products
+  const variant = lotIds.length > 1 ? null : await variantService.resolve(productId, body.variant_id);
+  
+  // Check if product (or this size of it) already has an active or upcoming
+  // auction, on its own or as an item in someone else's lot
+  const existingAuction = await prepare(`
+    SELECT * FROM auctions
+    WHERE status IN ('open', 'scheduled') AND (
+      (product_id = $1 AND ($2::integer IS NULL OR variant_id IS NULL OR variant_id = $2))
+      OR id IN (SELECT auction_id FROM auction_lot_items WHERE product_id = $1)
+    )
+  `).get([productId, variant?.id ?? null]);
+  if (existingAuction) {
+    if (existingAuction.product_id !== productId) {
+      return { status: 400, error: `Product is already in lot auction #${existingAuction.id}` };
+    }
+    return { status: 400, error: variant ? `Size ${variant.size} already has an active auction` : 'Product already has an active auction' };
+  }
+  
+  const schedule = auctionWindow(body, durationDays);
+  if (schedule.error) return { status: 400, error: schedule.error };
+  const increments = parseIncrementTable(body.bid_increments);
+  if (increments.error) return { status: 400, error: increments.error };
+  const format = auctionFormat(body);
+  if (format.error) return { status: 400, error: format.error };
+  const relist = relistRules(body);
+  if (relist.error) return { status: 400, error: relist.error };
+  if (lotIds.length > 1) {
+    await lotService.validateProducts(lotIds);
+  }
+  const softClose = softCloseSettings(body);
+  
+  const created = await transaction(async (client) => {
+    // Lock the products so a raffle can't be set up for them at the same time
+    await client.query('SELECT id FROM products WHERE id = ANY($1) ORDER BY id FOR UPDATE', [lotIds]);
+    const raffle = await raffleService.activeRaffle(lotIds, client);
+    if (raffle) return { error: `Product #${raffle.product_id} is being sold by raffle #${raffle.id}` };
+    
+    const result = await client.query(`
+      INSERT INTO auctions (product_id, start_time, end_time, starting_bid, status, soft_close_minutes, soft_close_extension_minutes, reserve_price, bid_increments, auction_type, sealed_price_rule, relist_max, relist_drop_percent, variant_id) 
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING id
+    `, [productId, schedule.start.toISOString(), schedule.end.toISOString(), startingBid, schedule.status, softClose.windowMinutes, softClose.extensionMinutes, reservePrice, increments.table ? JSON.stringify(increments.table) : null, format.type, format.priceRule, relist.max, relist.dropPercent, variant?.id ?? null]);
+    if (lotIds.length > 1) {
+      await lotService.addItems(client, result.rows[0].id, lotIds);
+    }
+    return { auctionId: result.rows[0].id };
+  });
+  if (created.error) return { status: 400, error: created.error };
+  const { auctionId } = created;
+  
+  logger.info('Auction created', {
+    auctionId,
+    productId,
+    startingBid,
+    startTime: schedule.start.toISOString(),
+    endTime: schedule.end.toISOString(),
+    status: schedule.status,
+    reservePrice,
+    softClose,
+    bidIncrements: increments.table,
+    auctionType: format.type,
+    relist: relist.max > 0 ? relist : undefined,
+    lotProductIds: lotIds.length > 1 ? lotIds : undefined,
+    size: variant?.size,
+    templateId: template?.id,
+    createdBy
+  });
+  
+  return { auctionId, schedule };
+}
+
+// API: Create auction. With template_id, the template fills in any settings
+// the request leaves out; with product_ids, one auction is created per product.
 app.post('/api/auctions', ensureAdmin, async (req, res) => {
   try {
-    const { product_id, starting_bid, duration, reserve_price } = req.body;
-    
-    if (!product_id || !starting_bid || !duration) {
-      return res.status(400).json({ error: 'Missing required fields' });
+    let template = null;
+    if (req.body.template_id) {
+      template = await auctionTemplateService.get(Number(req.body.template_id));
+      if (!template) return res.status(404).json({ error: 'Auction template not found' });
     }
     
-    const productId = Number(product_id);
-    const startingBid = Number(starting_bid);
-    const durationDays = Number(duration);
-    
-    // Check if product exists
-    const product = await prepare('SELECT * FROM products WHERE id = $1').get([productId]);
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+    if (req.body.product_ids !== undefined) {
+      const bulk = await createAuctions(req.body, req.session.user.email, template);
+      if (bulk.error) return res.status(400).json({ error: bulk.error });
+      return res.json(bulk);
     }
     
-    // Check if product already has an active auction
-    const existingAuction = await prepare('SELECT * FROM auctions WHERE product_id = $1 AND status = $2').get([productId, 'open']);
-    if (existingAuction) {
-      return res.status(400).json({ error: 'Product already has an active auction' });
+    const created = await createAuction(req.body, req.session.user.email, template);
+    if (created.error) {
+      return res.status(created.status).json({ error: created.error });
     }
     
-    const start = dayjs();
-    const end = start.add(durationDays, 'day');
-    
-    const result = await query(`
-      INSERT INTO auctions (product_id, start_time, end_time, starting_bid, status) 
-      VALUES ($1, $2, $3, $4, $5) RETURNING id
-    `, [productId, start.toISOString(), end.toISOString(), startingBid, 'open']);
-    
-    const auctionId = result.rows[0].id;
-    
-    logger.info('Auction created', {
-      auctionId,
-      productId,
-      startingBid,
-      duration: durationDays,
-      createdBy: req.session.user.email
-    });
-    
+    const { auctionId, schedule } = created;
     res.json({ 
       success: true, 
       auctionId,
-      message: 'Auction created successfully'
+      status: schedule.status,
+      message: schedule.status === 'scheduled'
+        ? `Auction scheduled to start ${schedule.start.format('MMM D, YYYY h:mm A')}`
+        : 'Auction created successfully'
     });
   } catch (e) {
+    if (e instanceof LotError || e instanceof AuctionTemplateError || e instanceof VariantError) {
+      return res.status(e.status).json({ error: e.message });
+    }
     logger.error('Failed to create auction', { error: e.message });
     res.status(500).json({ error: 'Failed to create auction: ' + e.message });
   }
 });
 
+// Bulk creation: each product gets its own auction with the same settings.
+// Products that can't be listed are reported and skipped, not fatal.
+async function createAuctions(body, createdBy, template) {
+  const productIds = [...new Set((Array.isArray(body.product_ids) ? body.product_ids : String(body.product_ids).split(','))
+    .map(id => Number(String(id).trim()))
+    .filter(id => Number.isInteger(id) && id > 0))];
+  if (productIds.length === 0) return { error: 'Choose at least one product' };
+  if (body.lot_product_ids) return { error: 'Lots must be created one at a time' };
+  
+  const created = [];
+  const failed = [];
+  for (const productId of productIds) {
+    try {
+      const result = await createAuction({ ...body, product_id: productId }, createdBy, template);
+      if (result.error) {
+        failed.push({ productId, error: result.error });
+      } else {
+        created.push({ productId, auctionId: result.auctionId, status: result.schedule.status });
+      }
+    } catch (error) {
+      if (!(error instanceof AuctionTemplateError || error instanceof VariantError)) throw error;
+      failed.push({ productId, error: error.message });
+    }
+  }
+  
+  logger.info('Auctions bulk created', { templateId: template?.id, created: created.length, failed: failed.length, createdBy });
+  return { success: created.length > 0, created, failed };
+}
+
 // API: End auction
 app.post('/api/auctions/:id/end', ensureAdmin, async (req, res) => {
   try {
@@ -2011,18 +3200,32 @@ app.post('/api/auctions/:id/end', ensureAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Auction not found' });
     }
     
+    // A drop that has not started yet is simply cancelled
+    if (auction.status === 'scheduled') {
+      await query('UPDATE auctions SET status = $1, end_reason = $2, closed_at = $3 WHERE id = $4',
+        ['ended', 'cancelled', dayjs().toISOString(), auctionId]);
+      logger.info('Scheduled auction cancelled', { auctionId, endedBy: req.session.user.email });
+      auctionEvents.publish(auctionId, 'ended', { endReason: 'cancelled', winnerId: null, currentBid: null });
+      return res.json({ success: true, message: 'Scheduled auction cancelled' });
+    }
+
     if (auction.status !== 'open') {
       return res.status(400).json({ error: 'Auction is not active' });
     }
     
-    await query('UPDATE auctions SET status = $1 WHERE id = $2', ['ended', auctionId]);
+    const outcome = await auctionScheduler.closeAuction(auctionId, { endedBy: req.session.user.email });
     
     logger.info('Auction ended manually', {
       auctionId,
       endedBy: req.session.user.email
     });
     
-    res.json({ success: true, message: 'Auction ended successfully' });
+    res.json({
+      success: true,
+      message: 'Auction ended successfully',
+      winnerId: outcome?.winnerId || null,
+      orderId: outcome?.orderId || null
+    });
   } catch (e) {
     logger.error('Failed to end auction', { error: e.message, auctionId: req.params.id });
     res.status(500).json({ error: 'Failed to end auction: ' + e.message });
@@ -2764,14 +3967,62 @@ app.post('/track', async (req, res) => {
   }
 });
 
+// Card on file for authorization holds on high-value auctions
+app.get('/account/card', ensureAuth, async (req, res) => {
+  try {
+    const card = await paymentHoldService.cardFor(req.session.user.id);
+    res.render('payment-card', {
+      user: req.session.user,
+      card,
+      returnTo: safeReturnPath(req.query.return_to),
+      saved: req.query.saved === '1',
+      error: req.query.error || null
+    });
+  } catch (error) {
+    logger.error('Error loading card on file:', error);
+    res.status(500).send('Error loading card');
+  }
+});
+
+app.post('/account/card/setup', ensureAuth, async (req, res) => {
+  try {
+    if (!stripe) return res.status(500).send('Stripe not configured');
+    const returnTo = safeReturnPath(req.body.return_to);
+    const back = returnTo ? `?return_to=${encodeURIComponent(returnTo)}` : '';
+    const session = await paymentHoldService.startCardSetup(req.session.user, {
+      successUrl: `${req.protocol}://${req.get('host')}/account/card/saved?session_id={CHECKOUT_SESSION_ID}${returnTo ? `&return_to=${encodeURIComponent(returnTo)}` : ''}`,
+      cancelUrl: `${req.protocol}://${req.get('host')}/account/card${back}`
+    });
+    res.redirect(303, session.url);
+  } catch (error) {
+    logger.error('Error starting card setup:', error);
+    res.status(500).send('Error starting card setup');
+  }
+});
+
+app.get('/account/card/saved', ensureAuth, async (req, res) => {
+  const returnTo = safeReturnPath(req.query.return_to);
+  try {
+    if (!stripe) return res.status(500).send('Stripe not configured');
+    await paymentHoldService.saveCardFromSetup(req.session.user.id, String(req.query.session_id || ''));
+    res.redirect(returnTo || '/account/card?saved=1');
+  } catch (error) {
+    if (!(error instanceof BidError)) logger.error('Error saving card:', error);
+    const message = error instanceof BidError ? error.message : 'The card could not be saved';
+    res.redirect(`/account/card?error=${encodeURIComponent(message)}${returnTo ? `&return_to=${encodeURIComponent(returnTo)}` : ''}`);
+  }
+});
+
 // Customer order tracking (requires login)
-app.get('/my-orders', ensureAuth, (req, res) => {
+app.get('/my-orders', ensureAuth, async (req, res) => {
   try {
-    const orders = db.prepare(`
+    const orders = await db.prepare(`
       SELECT o.*, 
         p.name as product_name, p.brand,
         s.tracking_number, s.carrier, s.status as shipping_status,
-        s.estimated_delivery, s.actual_delivery
+        s.estimated_delivery, s.actual_delivery,
+        (SELECT id FROM offers WHERE order_id = o.id) as offer_id,
+        (SELECT raffle_id FROM raffle_entries WHERE order_id = o.id) as raffle_id
       FROM orders o
       LEFT JOIN auctions a ON a.id = o.auction_id
       LEFT JOIN products p ON p.id = COALESCE(a.product_id, o.product_id)
@@ -2791,7 +4042,226 @@ app.get('/my-orders', ensureAuth, (req, res) => {
   }
 });
 
+// Watchlist
+app.get('/my-watchlist', ensureAuth, async (req, res) => {
+  try {
+    const auctions = await watchlistService.listForUser(req.session.user.id);
+    res.render('my-watchlist', { user: req.session.user, auctions, dayjs });
+  } catch (error) {
+    logger.error('Error loading watchlist:', error);
+    res.status(500).send('Error loading watchlist');
+  }
+});
+
+app.post('/auction/:id/watch', ensureAuth, async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const auction = await prepare('SELECT id FROM auctions WHERE id = $1').get([id]);
+    if (!auction) return res.status(404).send('Auction not found');
+
+    const watching = await watchlistService.toggle(req.session.user.id, id);
+    logger.info(watching ? 'Auction watched' : 'Auction unwatched', { auctionId: id, userId: req.session.user.id });
+
+    // Only redirect back within the site
+    res.redirect(safeReturnPath(req.body.return_to) || '/auction/' + id);
+  } catch (error) {
+    logger.error('Error updating watchlist:', error);
+    res.status(500).send('Error updating watchlist');
+  }
+});
+
+// Catalog search with brand, size, price, condition and listing-type facets
+app.get('/search', async (req, res) => {
+  try {
+    const search = await searchService.search(req.query);
+    res.render('search', {
+      user: req.session.user,
+      ...search,
+      sorts: SEARCH_SORTS,
+      searchUrl,
+      toggleValue,
+      conditionLabels: CONDITION_LABELS,
+      dayjs
+    });
+  } catch (error) {
+    logger.error('Error searching catalog:', error);
+    res.status(500).send('Error searching catalog');
+  }
+});
+
+// Type-ahead suggestions for the header search box
+app.get('/api/search/suggest', async (req, res) => {
+  try {
+    res.json({ suggestions: await searchService.suggest(req.query.q) });
+  } catch (error) {
+    logger.error('Error loading search suggestions:', error);
+    res.status(500).json({ error: 'Failed to load suggestions' });
+  }
+});
+
+// Drop calendar: scheduled auctions grouped by start day
+app.get('/drops', async (req, res) => {
+  try {
+    const drops = await prepare(`
+      SELECT a.*, p.name as product_name, p.brand, p.image_url, COALESCE(v.size, p.size) as size, p.highest_market_price
+      FROM auctions a
+      JOIN products p ON p.id = a.product_id
+      LEFT JOIN product_variants v ON v.id = a.variant_id
+      WHERE a.status = 'scheduled'
+      ORDER BY a.start_time ASC
+    `).all();
+
+    const days = [];
+    for (const drop of drops) {
+      const key = dayjs(drop.start_time).format('YYYY-MM-DD');
+      let day = days[days.length - 1];
+      if (!day || day.key !== key) {
+        day = { key, label: dayjs(drop.start_time).format('dddd, MMMM D'), drops: [] };
+        days.push(day);
+      }
+      day.drops.push(drop);
+    }
+
+    res.render('drops', { user: req.session.user, days, dayjs });
+  } catch (error) {
+    logger.error('Error loading drops:', error);
+    res.status(500).send('Error loading drops');
+  }
+});
+
+// Raffles open for entry or starting soon
+app.get('/raffles', async (req, res) => {
+  try {
+    const raffles = await raffleService.listActive();
+    const recent = await prepare(`
+      SELECT r.id, r.price, r.winner_count, r.drawn_at, p.name as product_name, p.brand, p.image_url
+      FROM raffles r JOIN products p ON p.id = r.product_id
+      WHERE r.status = 'drawn'
+      ORDER BY r.drawn_at DESC
+      LIMIT 6
+    `).all();
+    res.render('raffles', { user: req.session.user, raffles, recent, dayjs });
+  } catch (error) {
+    logger.error('Error loading raffles:', error);
+    res.status(500).send('Error loading raffles');
+  }
+});
+
+// Entrant shown on a public raffle result list: "j***@example.com"
+function maskEmail(email) {
+  const [name, domain] = String(email).split('@');
+  return `${name.slice(0, 1)}***@${domain || ''}`;
+}
+
+// Raffle page: entry, result and the data needed to audit the draw
+app.get('/raffles/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const raffle = await prepare(`
+      SELECT r.*, p.name as product_name, p.brand, p.image_url, p.description, COALESCE(v.size, p.size) as size
+      FROM raffles r JOIN products p ON p.id = r.product_id
+      LEFT JOIN product_variants v ON v.id = r.variant_id
+      WHERE r.id = $1
+    `).get([id]);
+    if (!raffle) return res.status(404).send('Raffle not found');
+
+    const drawn = raffle.status === 'drawn';
+    const entries = await prepare(`
+      SELECT e.*, u.email, o.status as order_status, o.payment_due_at
+      FROM raffle_entries e
+      JOIN users u ON u.id = e.user_id
+      LEFT JOIN orders o ON o.id = e.order_id
+      WHERE e.raffle_id = $1
+      ORDER BY ${drawn ? 'e.draw_rank' : 'e.id'} ASC
+    `).all([id]);
+    const myEntry = req.session.user ? entries.find(e => e.user_id === req.session.user.id) : null;
+
+    // The seed stays secret until the draw; afterwards re-check it against the
+    // published hash and every stored score
+    const audit = drawn
+      ? {
+          seed: raffle.seed,
+          seedMatches: hashSeed(raffle.seed) === raffle.seed_hash,
+          scoresMatch: entries.every(e => drawScore(raffle.seed, raffle.id, e.id) === e.draw_score),
+          entries: entries.map(e => ({ id: e.id, entrant: maskEmail(e.email), score: e.draw_score, rank: e.draw_rank, isWinner: !!e.is_winner }))
+        }
+      : null;
+
+    res.render('raffle', {
+      user: req.session.user,
+      raffle: { ...raffle, seed: undefined },
+      entryCount: entries.length,
+      myEntry,
+      audit,
+      error: req.query.error || null,
+      success: req.query.success || null,
+      dayjs
+    });
+  } catch (error) {
+    logger.error('Error loading raffle:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+app.post('/raffles/:id/enter', ensureAuth, async (req, res) => {
+  const raffleId = Number(req.params.id);
+  try {
+    await raffleService.enter(raffleId, req.session.user.id);
+    res.redirect(`/raffles/${raffleId}?success=` + encodeURIComponent("You're in! We'll notify you when winners are drawn."));
+  } catch (error) {
+    if (!(error instanceof RaffleError)) {
+      logger.error('Error entering raffle:', error);
+      return res.status(500).send('Internal server error');
+    }
+    if (error.status === 404) return res.status(404).send(error.message);
+    res.redirect(`/raffles/${raffleId}?error=` + encodeURIComponent(error.message));
+  }
+});
+
+// Winners pay the fixed raffle price through the same Stripe checkout as Buy It Now
+app.post('/raffles/:id/checkout', ensureAuth, async (req, res) => {
+  try {
+    const raffleId = Number(req.params.id);
+    const order = await raffleService.claimableOrder(raffleId, req.session.user.id);
+    if (!stripe) return res.status(500).send('Stripe not configured');
+
+    const product = await prepare('SELECT * FROM products WHERE id = $1').get([order.product_id]);
+    try {
+      await redirectToProductCheckout(req, res, { product, orderId: order.id, amount: order.amount, label: 'Raffle Win' });
+    } catch (e) {
+      logger.error('Raffle checkout error:', e);
+      res.status(500).send('Stripe error: ' + e.message);
+    }
+  } catch (error) {
+    if (error instanceof RaffleError) return res.status(error.status).send(error.message);
+    logger.error('Error in raffle checkout:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Notifications
+app.get('/notifications', ensureAuth, async (req, res) => {
+  try {
+    const notifications = await notificationService.listForUser(req.session.user.id);
+    await notificationService.markAllRead(req.session.user.id);
+    res.render('notifications', { user: req.session.user, notifications, dayjs });
+  } catch (error) {
+    logger.error('Error loading notifications:', error);
+    res.status(500).send('Error loading notifications');
+  }
+});
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  auctionScheduler.start();
+});
+
+process.on('SIGINT', () => {
+  auctionScheduler.stop();
+  auctionEvents.close();
+});
+process.on('SIGTERM', () => {
+  auctionScheduler.stop();
+  auctionEvents.close();
 });
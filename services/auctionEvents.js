@@ -0,0 +1,79 @@
+import winston from 'winston';
+
+const HEARTBEAT_MS = 25000;
+
+// Server-Sent Events hub. Each client watches one auction, or every auction
+// when subscribed without an id (the home page grid).
+class AuctionEvents {
+  constructor(logger) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.clients = new Set();
+    this.heartbeat = null;
+  }
+
+  // Turn the response into an event stream and keep it until the client disconnects
+  subscribe(req, res, auctionId = null) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    const client = { res, auctionId };
+    this.clients.add(client);
+    this.startHeartbeat();
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    });
+
+    return client;
+  }
+
+  send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  publish(auctionId, event, data = {}) {
+    const payload = { auctionId, ...data };
+    for (const client of this.clients) {
+      if (client.auctionId !== null && client.auctionId !== auctionId) continue;
+      try {
+        this.send(client, event, payload);
+      } catch (error) {
+        this.logger.error('Failed to push auction event', { auctionId, event, error: error.message });
+      }
+    }
+  }
+
+  // Comment lines keep proxies from timing out idle streams
+  startHeartbeat() {
+    if (this.heartbeat) return;
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients) client.res.write(': ping\n\n');
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref();
+  }
+
+  stopHeartbeat() {
+    if (!this.heartbeat) return;
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  close() {
+    this.stopHeartbeat();
+    for (const client of this.clients) client.res.end();
+    this.clients.clear();
+  }
+}
+
+export default AuctionEvents;
@@ -0,0 +1,376 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { prepare, transaction } from '../database.js';
+import { LotError } from './lotService.js';
+
+class AuctionScheduler {
+  constructor(logger, notificationService, options = {}) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.notificationService = notificationService;
+    this.events = options.events || null;
+    this.watchlistService = options.watchlistService || null;
+    this.secondChanceService = options.secondChanceService || null;
+    this.raffleService = options.raffleService || null;
+    this.holdService = options.holdService || null;
+    this.lotService = options.lotService || null;
+    this.intervalMs = options.intervalMs || Number(process.env.AUCTION_SCHEDULER_INTERVAL_MS || 30000);
+    this.paymentWindowHours = options.paymentWindowHours || Number(process.env.AUCTION_PAYMENT_WINDOW_HOURS || 48);
+
+    this.timer = null;
+    this.running = false;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.runOnce(), this.intervalMs);
+    this.timer.unref();
+    this.logger.info('Auction scheduler started', { intervalMs: this.intervalMs });
+    this.runOnce();
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.logger.info('Auction scheduler stopped');
+  }
+
+  // One scheduler tick; overlapping ticks are skipped
+  async runOnce() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      await this.startScheduledAuctions();
+      await this.closeExpiredAuctions();
+      if (this.holdService) await this.renewHolds();
+      if (this.secondChanceService) await this.secondChanceService.expireUnpaidOrders();
+      if (this.watchlistService) await this.watchlistService.notifyEndingSoon();
+      if (this.raffleService) {
+        await this.raffleService.openScheduled();
+        await this.raffleService.drawDue();
+        await this.raffleService.expireUnclaimed();
+      }
+    } catch (error) {
+      this.logger.error('Auction scheduler tick failed', { error: error.message });
+    } finally {
+      this.running = false;
+    }
+  }
+
+  // Open scheduled drops whose start time has arrived
+  async startScheduledAuctions() {
+    const started = await prepare(`
+      UPDATE auctions SET status = 'open'
+      WHERE status = 'scheduled' AND start_time <= $1
+      RETURNING id
+    `).all([dayjs().toISOString()]);
+
+    for (const { id } of started) {
+      this.logger.info('Scheduled auction started', { auctionId: id });
+      this.events?.publish(id, 'started');
+    }
+    return started;
+  }
+
+  async closeExpiredAuctions() {
+    const expired = await prepare(`
+      SELECT id FROM auctions
+      WHERE status = 'open' AND end_time <= $1
+      ORDER BY end_time ASC
+    `).all([dayjs().toISOString()]);
+
+    for (const { id } of expired) {
+      try {
+        await this.closeAuction(id);
+      } catch (error) {
+        this.logger.error('Failed to close auction', { auctionId: id, error: error.message });
+      }
+    }
+  }
+
+  // Sealed bids stay in max_bids while the auction runs. At close they are
+  // copied into the public bid history and the winner's price is worked out.
+  async revealSealedBids(client, auction) {
+    const { rows: sealed } = await client.query(`
+      SELECT user_id, max_amount, updated_at FROM max_bids
+      WHERE auction_id = $1
+      ORDER BY max_amount DESC, updated_at ASC, id ASC
+    `, [auction.id]);
+
+    for (const bid of sealed) {
+      await client.query('INSERT INTO bids (auction_id, user_id, amount, is_proxy, created_at) VALUES ($1, $2, $3, $4, $5)',
+        [auction.id, bid.user_id, bid.max_amount, 0, dayjs(bid.updated_at).toISOString()]);
+    }
+
+    if (sealed.length === 0) return null;
+    const [winner, runnerUp] = sealed;
+    const reserve = auction.reserve_price || 0;
+    if (auction.sealed_price_rule !== 'second' || winner.max_amount < reserve) {
+      return { user_id: winner.user_id, amount: winner.max_amount };
+    }
+
+    // Second-price: pay the runner-up's bid, but never below the reserve or starting bid
+    const price = Math.max(runnerUp ? runnerUp.max_amount : 0, auction.starting_bid, reserve);
+    return { user_id: winner.user_id, amount: price };
+  }
+
+  // Put an unsold auction back up under its relist rules: same settings and
+  // length, starting bid lowered by relist_drop_percent. Runs inside the
+  // closing transaction. Returns the new auction id, or null when no relists
+  // are left.
+  async relist(client, auction) {
+    if (!auction.relist_max || auction.relist_count >= auction.relist_max) return null;
+
+    // A lot only comes back if every item can still be sold in it; any that
+    // sold or went up in another auction meanwhile keep it from relisting
+    const { rows: lotItems } = await client.query(
+      'SELECT product_id FROM auction_lot_items WHERE auction_id = $1 ORDER BY position', [auction.id]);
+    if (lotItems.length > 1 && this.lotService) {
+      try {
+        await this.lotService.validateProducts(lotItems.map(item => item.product_id), client);
+      } catch (error) {
+        if (!(error instanceof LotError)) throw error;
+        this.logger.info('Lot not relisted', { auctionId: auction.id, reason: error.message });
+        return null;
+      }
+    }
+
+    const start = dayjs();
+    // Soft-close extensions don't carry over to the relist's length
+    const durationMs = dayjs(auction.original_end_time || auction.end_time).diff(dayjs(auction.start_time));
+    const startingBid = Math.max(1, Math.floor(auction.starting_bid * (100 - (auction.relist_drop_percent || 0)) / 100));
+
+    const { rows: [relisted] } = await client.query(`
+      INSERT INTO auctions (product_id, start_time, end_time, starting_bid, status, soft_close_minutes, soft_close_extension_minutes,
+        reserve_price, bid_increments, auction_type, sealed_price_rule, relist_max, relist_drop_percent, relist_count, relisted_from_auction_id, variant_id)
+      VALUES ($1, $2, $3, $4, 'open', $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING id
+    `, [auction.product_id, start.toISOString(), start.add(durationMs, 'ms').toISOString(), startingBid,
+      auction.soft_close_minutes, auction.soft_close_extension_minutes, auction.reserve_price, auction.bid_increments,
+      auction.auction_type, auction.sealed_price_rule, auction.relist_max, auction.relist_drop_percent,
+      auction.relist_count + 1, auction.id, auction.variant_id]);
+
+    // Lots come back with the same items
+    await client.query(`
+      INSERT INTO auction_lot_items (auction_id, product_id, position, created_at)
+      SELECT $1, product_id, position, $2 FROM auction_lot_items WHERE auction_id = $3
+    `, [relisted.id, start.toISOString(), auction.id]);
+
+    return relisted.id;
+  }
+
+  // Buy It Now sells the product outright, so end every open or scheduled
+  // auction it is in, inside the caller's transaction. Buying the last pair of
+  // a size (variantId) ends only that size's auctions. Returns the ended
+  // auctions with their bidders for notifyBuyNowEnded().
+  async endForBuyNow(client, productId, variantId = null) {
+    const { rows: auctions } = variantId
+      ? await client.query(`
+          SELECT * FROM auctions WHERE status IN ('open', 'scheduled') AND variant_id = $1 FOR UPDATE
+        `, [variantId])
+      : await client.query(`
+          SELECT * FROM auctions
+          WHERE status IN ('open', 'scheduled')
+            AND (product_id = $1 OR id IN (SELECT auction_id FROM auction_lot_items WHERE product_id = $1))
+          FOR UPDATE
+        `, [productId]);
+
+    const now = dayjs().toISOString();
+    const ended = [];
+    for (const auction of auctions) {
+      await client.query('UPDATE auctions SET status = $1, end_reason = $2, closed_at = $3 WHERE id = $4',
+        ['ended', 'buy_now', now, auction.id]);
+      const { rows: bidders } = await client.query(`
+        SELECT user_id FROM bids WHERE auction_id = $1 AND voided_at IS NULL
+        UNION SELECT user_id FROM max_bids WHERE auction_id = $1
+      `, [auction.id]);
+      ended.push({ auction, bidderIds: bidders.map(b => b.user_id) });
+    }
+    return ended;
+  }
+
+  // After a Buy It Now commits: close live pages and tell the bidders
+  async notifyBuyNowEnded(ended, buyerId) {
+    for (const { auction, bidderIds } of ended) {
+      this.logger.info('Auction ended by Buy It Now', { auctionId: auction.id, buyerId, bidders: bidderIds.length });
+      this.events?.publish(auction.id, 'ended', { endReason: 'buy_now', winnerId: null, currentBid: auction.current_bid });
+      await this.settleHolds({ auction, winnerId: null });
+
+      if (!this.notificationService) continue;
+      const product = await prepare('SELECT brand, name FROM products WHERE id = $1').get([auction.product_id]);
+      const productName = product ? `${product.brand} ${product.name}` : 'this item';
+      for (const userId of bidderIds.filter(id => id !== buyerId)) {
+        await this.notificationService.notify(userId, {
+          type: 'auction_bought_now',
+          title: `Auction #${auction.id} has ended`,
+          message: `${productName} was sold through Buy It Now, so the auction closed early. Your bids have been released.`,
+          link: `/auction/${auction.id}`
+        });
+      }
+    }
+  }
+
+  // Card holds on a closed auction: the winner's is charged, the rest are
+  // released. Returns captureForWin's result for the winner's hold.
+  async settleHolds({ auction, winnerId, orderId, amount }) {
+    if (!this.holdService) return null;
+    try {
+      if (winnerId) return await this.holdService.captureForWin({ auction, winnerId, orderId, amount });
+      await this.holdService.releaseAll(auction.id, 'auction closed');
+    } catch (error) {
+      this.logger.error('Failed to settle bid holds', { auctionId: auction.id, error: error.message });
+    }
+    return null;
+  }
+
+  // Card holds on running auctions are re-authorized before they lapse.
+  // Bidders whose card can't be re-authorized keep their bid but are told
+  // they'll pay through checkout if they win.
+  async renewHolds() {
+    const failed = await this.holdService.renewExpiring();
+    if (!this.notificationService) return;
+    for (const hold of failed) {
+      await this.notificationService.notify(hold.user_id, {
+        type: 'bid_hold_lapsed',
+        title: `Card hold on auction #${hold.auction_id} couldn't be renewed`,
+        message: `We couldn't re-authorize your card for $${hold.amount}. Your bid still stands; if you win, you'll pay through checkout instead.`,
+        link: `/auction/${hold.auction_id}`
+      });
+    }
+  }
+
+  // Close an auction, take its recorded leader as the winner (sealed auctions
+  // reveal theirs) and open a pending order with a payment deadline. An unmet
+  // reserve ends it without a sale, and unsold auctions closed on schedule are
+  // relisted if their rules allow. Returns the outcome, or null if the
+  // auction was already closed.
+  async closeAuction(auctionId, { endedBy = 'scheduler' } = {}) {
+    const outcome = await transaction(async (client) => {
+      const { rows: [auction] } = await client.query('SELECT * FROM auctions WHERE id = $1 FOR UPDATE', [auctionId]);
+      if (!auction || auction.status !== 'open') return null;
+
+      const now = dayjs();
+      let winningBid;
+      if (auction.auction_type === 'sealed') {
+        winningBid = await this.revealSealedBids(client, auction);
+      } else if (auction.current_bid_user_id) {
+        // The leader the proxy engine recorded wins at the standing price;
+        // picking from bid rows could hand a tie to the later bidder
+        winningBid = { user_id: auction.current_bid_user_id, amount: auction.current_bid };
+      }
+
+      if (!winningBid) {
+        await client.query(
+          'UPDATE auctions SET status = $1, end_reason = $2, closed_at = $3 WHERE id = $4',
+          ['ended', 'no_bids', now.toISOString(), auctionId]
+        );
+        const relistedAuctionId = endedBy === 'scheduler' ? await this.relist(client, auction) : null;
+        return { auction, endReason: 'no_bids', winnerId: null, orderId: null, relistedAuctionId };
+      }
+
+      if (auction.reserve_price && winningBid.amount < auction.reserve_price) {
+        await client.query(
+          'UPDATE auctions SET status = $1, end_reason = $2, closed_at = $3 WHERE id = $4',
+          ['ended', 'reserve_not_met', now.toISOString(), auctionId]
+        );
+        const relistedAuctionId = endedBy === 'scheduler' ? await this.relist(client, auction) : null;
+        return { auction, endReason: 'reserve_not_met', winnerId: null, topBidderId: winningBid.user_id, amount: winningBid.amount, orderId: null, relistedAuctionId };
+      }
+
+      const paymentDueAt = now.add(this.paymentWindowHours, 'hour');
+      await client.query(`
+        UPDATE auctions
+        SET status = $1, end_reason = $2, closed_at = $3, winner_user_id = $4,
+          current_bid = $5, current_bid_user_id = $4
+        WHERE id = $6
+      `, ['ended', 'sold', now.toISOString(), winningBid.user_id, winningBid.amount, auctionId]);
+
+      // The winner may already have started checkout while the auction was open
+      const { rows: [existingOrder] } = await client.query(
+        'SELECT id FROM orders WHERE auction_id = $1 AND user_id = $2 AND status = $3 ORDER BY id DESC LIMIT 1',
+        [auctionId, winningBid.user_id, 'pending']
+      );
+
+      let orderId;
+      if (existingOrder) {
+        orderId = existingOrder.id;
+        await client.query('UPDATE orders SET amount = $1, payment_due_at = $2 WHERE id = $3',
+          [winningBid.amount, paymentDueAt.toISOString(), orderId]);
+      } else {
+        const { rows: [order] } = await client.query(`
+          INSERT INTO orders (auction_id, product_id, user_id, amount, order_type, status, payment_due_at, created_at)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id
+        `, [auctionId, auction.product_id, winningBid.user_id, winningBid.amount, 'auction', 'pending', paymentDueAt.toISOString(), now.toISOString()]);
+        orderId = order.id;
+      }
+
+      return { auction, endReason: 'sold', winnerId: winningBid.user_id, amount: winningBid.amount, orderId, paymentDueAt };
+    });
+
+    if (!outcome) return null;
+
+    this.logger.info('Auction closed', {
+      auctionId,
+      endedBy,
+      endReason: outcome.endReason,
+      winnerId: outcome.winnerId,
+      amount: outcome.amount,
+      orderId: outcome.orderId,
+      relistedAuctionId: outcome.relistedAuctionId
+    });
+
+    this.events?.publish(auctionId, 'ended', {
+      endReason: outcome.endReason,
+      winnerId: outcome.winnerId,
+      currentBid: outcome.amount || null,
+      relistedAuctionId: outcome.relistedAuctionId || null
+    });
+
+    outcome.holdResult = await this.settleHolds(outcome);
+
+    if (!this.notificationService) return outcome;
+
+    const product = await prepare('SELECT brand, name FROM products WHERE id = $1').get([outcome.auction.product_id]);
+    const productName = product ? `${product.brand} ${product.name}` : 'this item';
+
+    if (outcome.endReason === 'reserve_not_met') {
+      await this.notificationService.notify(outcome.topBidderId, {
+        type: 'reserve_not_met',
+        title: `Auction #${auctionId} ended without a sale`,
+        message: `Your high bid of $${outcome.amount} on ${productName} did not meet the seller's reserve price.${outcome.relistedAuctionId ? " It's been relisted if you'd like to bid again." : ''}`,
+        link: `/auction/${outcome.relistedAuctionId || auctionId}`
+      });
+    }
+
+    if (outcome.winnerId && outcome.holdResult === 'captured') {
+      await this.notificationService.notify(outcome.winnerId, {
+        type: 'auction_won',
+        title: `You won auction #${auctionId}!`,
+        message: `Your card was charged $${outcome.amount} for ${productName} from the hold placed when you bid. We'll let you know when it ships.`,
+        link: '/my-orders'
+      });
+    } else if (outcome.winnerId && outcome.holdResult === 'failed') {
+      await this.notificationService.notify(outcome.winnerId, {
+        type: 'auction_won',
+        title: `You won auction #${auctionId}!`,
+        message: `We couldn't charge the hold on your card for ${productName}, so your winning bid of $${outcome.amount} is waiting for payment. Please complete checkout by ${outcome.paymentDueAt.format('MMM D, YYYY h:mm A')}.`,
+        link: `/auction/${auctionId}`
+      });
+    } else if (outcome.winnerId) {
+      await this.notificationService.notify(outcome.winnerId, {
+        type: 'auction_won',
+        title: `You won auction #${auctionId}!`,
+        message: `Your winning bid of $${outcome.amount} on ${productName} is waiting for payment. Please complete checkout by ${outcome.paymentDueAt.format('MMM D, YYYY h:mm A')}.`,
+        link: `/auction/${auctionId}`
+      });
+    }
+
+    return outcome;
+  }
+}
+
+export default AuctionScheduler;
@@ -0,0 +1,118 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare } from '../database.js';
+import { parseIncrementTable } from './biddingService.js';
+
+// Error raised when a template can't be saved or applied (carries an HTTP status)
+export class AuctionTemplateError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AuctionTemplateError';
+    this.status = status;
+  }
+}
+
+// Auction fields a template supplies, in the names /api/auctions takes
+const TEMPLATE_FIELDS = ['starting_bid', 'duration', 'reserve_price', 'bid_increments', 'soft_close_minutes', 'soft_close_extension_minutes'];
+
+function blank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Saved auction settings admins can reuse instead of re-entering them for
+// every listing. Prices are stored as percentages of the product's
+// highest_market_price so one template fits products at any price point.
+class AuctionTemplateService {
+  constructor(logger) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  async list() {
+    return prepare('SELECT * FROM auction_templates ORDER BY name').all();
+  }
+
+  async get(templateId) {
+    return prepare('SELECT * FROM auction_templates WHERE id = $1').get([templateId]);
+  }
+
+  async create(fields, adminId) {
+    const name = String(fields.name || '').trim();
+    if (!name) throw new AuctionTemplateError('Template name is required');
+
+    const whole = (value, label, min, max) => {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < min || n > max) {
+        throw new AuctionTemplateError(`${label} must be a whole number from ${min} to ${max}`);
+      }
+      return n;
+    };
+    const optional = (value, label, min, max) => (blank(value) ? null : whole(value, label, min, max));
+
+    const durationDays = whole(fields.duration_days, 'Duration (days)', 1, 30);
+    const startingBidPercent = whole(fields.starting_bid_percent, 'Starting bid percent', 1, 1000);
+    const reservePercent = optional(fields.reserve_percent, 'Reserve percent', 1, 1000);
+    if (reservePercent !== null && reservePercent < startingBidPercent) {
+      throw new AuctionTemplateError('Reserve percent must be at least the starting bid percent');
+    }
+    const softCloseMinutes = optional(fields.soft_close_minutes, 'Soft close window', 0, 60);
+    const softCloseExtension = optional(fields.soft_close_extension_minutes, 'Soft close extension', 0, 60);
+
+    const increments = parseIncrementTable(fields.bid_increments);
+    if (increments.error) throw new AuctionTemplateError(increments.error);
+
+    try {
+      const { rows: [template] } = await query(`
+        INSERT INTO auction_templates (
+          name, duration_days, starting_bid_percent, reserve_percent, bid_increments,
+          soft_close_minutes, soft_close_extension_minutes, created_by, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *
+      `, [
+        name, durationDays, startingBidPercent, reservePercent,
+        increments.table ? JSON.stringify(increments.table) : null,
+        softCloseMinutes, softCloseExtension, adminId, dayjs().toISOString()
+      ]);
+      this.logger.info('Auction template created', { templateId: template.id, name, adminId });
+      return template;
+    } catch (error) {
+      if (error.code === '23505') throw new AuctionTemplateError('A template with that name already exists');
+      throw error;
+    }
+  }
+
+  async remove(templateId) {
+    const result = await query('DELETE FROM auction_templates WHERE id = $1', [templateId]);
+    if (result.rowCount === 0) throw new AuctionTemplateError('Template not found', 404);
+    this.logger.info('Auction template deleted', { templateId });
+  }
+
+  // The auction request for a product with the template's settings filled
+  // into whatever the request left blank
+  applyTo(template, product, body) {
+    const marketPrice = Number(product.highest_market_price) || 0;
+    if (marketPrice <= 0) {
+      throw new AuctionTemplateError(`Product #${product.id} has no market price to base the template's prices on`);
+    }
+    const percentOf = percent => Math.max(1, Math.floor(marketPrice * percent / 100));
+
+    const fromTemplate = {
+      starting_bid: percentOf(template.starting_bid_percent),
+      duration: template.duration_days,
+      reserve_price: template.reserve_percent ? percentOf(template.reserve_percent) : null,
+      bid_increments: template.bid_increments ? JSON.parse(template.bid_increments) : null,
+      soft_close_minutes: template.soft_close_minutes,
+      soft_close_extension_minutes: template.soft_close_extension_minutes
+    };
+
+    const merged = { ...body };
+    for (const field of TEMPLATE_FIELDS) {
+      if (blank(merged[field])) merged[field] = fromTemplate[field];
+    }
+    return merged;
+  }
+}
+
+export default AuctionTemplateService;
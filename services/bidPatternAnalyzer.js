@@ -0,0 +1,158 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare } from '../database.js';
+
+// A bidder who has bid up at least this many auctions (MIN_BIDS_PER_AUCTION
+// bids or more in each) and won none of them looks like a shill
+const SHILL_MIN_LOST_AUCTIONS = 3;
+const SHILL_MIN_BIDS_PER_AUCTION = 2;
+
+// Retracting this many bids inside the window gets an account flagged
+const RETRACTION_LIMIT = 2;
+const RETRACTION_WINDOW_DAYS = 30;
+
+// What each flag reason means, for the admin review queue
+export const FLAG_REASONS = {
+  bid_up_no_win: 'Keeps bidding auctions up without ever winning',
+  shared_session: 'Bids from the same browser session as the auction leader',
+  shared_ip: 'Bids from the same IP address as the auction leader',
+  retractions: 'Has retracted several bids recently'
+};
+
+class BidPatternAnalyzer {
+  constructor(logger) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  // Check a user's bidding on an auction against every pattern and open a
+  // flag for each match. Returns the flags opened (already-open ones are skipped).
+  async analyze(auctionId, userId) {
+    const findings = [
+      await this.checkBidUpWithoutWinning(auctionId, userId),
+      await this.checkSharedOrigin(auctionId, userId),
+      await this.checkRetractions(userId)
+    ].filter(Boolean);
+
+    const opened = [];
+    for (const finding of findings) {
+      const flag = await this.flag(auctionId, userId, finding.reason, finding.details);
+      if (flag) opened.push(flag);
+    }
+    return opened;
+  }
+
+  async flag(auctionId, userId, reason, details) {
+    const { rows: [flag] } = await query(`
+      INSERT INTO bid_flags (auction_id, user_id, reason, details, status, created_at)
+      VALUES ($1, $2, $3, $4, 'open', $5)
+      ON CONFLICT (user_id, auction_id, reason) WHERE status = 'open' DO NOTHING
+      RETURNING *
+    `, [auctionId, userId, reason, details, dayjs().toISOString()]);
+
+    if (flag) this.logger.warn('Bidding flagged for review', { flagId: flag.id, auctionId, userId, reason, details });
+    return flag || null;
+  }
+
+  // Repeatedly driving prices up on auctions that end without them as the
+  // winner. Leading an auction that missed its reserve doesn't count as a win.
+  async checkBidUpWithoutWinning(auctionId, userId) {
+    const history = await prepare(`
+      SELECT
+        COUNT(*) FILTER (WHERE a.status = 'ended' AND a.winner_user_id IS DISTINCT FROM $1)::integer as lost,
+        COUNT(*) FILTER (WHERE a.status = 'ended' AND a.winner_user_id = $1)::integer as won,
+        COALESCE(MAX(ub.bid_count) FILTER (WHERE a.id = $2), 0)::integer as bids_here
+      FROM (
+        SELECT auction_id, COUNT(*) as bid_count
+        FROM bids
+        WHERE user_id = $1 AND voided_at IS NULL
+        GROUP BY auction_id
+        HAVING COUNT(*) >= $3
+      ) ub
+      JOIN auctions a ON a.id = ub.auction_id
+    `).get([userId, auctionId, SHILL_MIN_BIDS_PER_AUCTION]);
+
+    if (history.bids_here === 0 || history.won > 0 || history.lost < SHILL_MIN_LOST_AUCTIONS) return null;
+    return {
+      reason: 'bid_up_no_win',
+      details: `Bid up ${history.lost} finished auctions without winning any; ${history.bids_here} bids on this one`
+    };
+  }
+
+  // The auction's leader bidding from the same browser session or IP address
+  // as this user, i.e. one person on two accounts pushing their own price up.
+  // A shared session is reported instead of a shared IP.
+  async checkSharedOrigin(auctionId, userId) {
+    const match = await prepare(`
+      SELECT u.email,
+        bool_or(leader.session_id = mine.session_id) as same_session,
+        bool_or(leader.ip_address = mine.ip_address) as same_ip
+      FROM auctions a
+      JOIN bids mine ON mine.auction_id = a.id AND mine.user_id = $2 AND mine.voided_at IS NULL
+      JOIN bids leader ON leader.auction_id = a.id
+        AND leader.user_id = a.current_bid_user_id
+        AND leader.voided_at IS NULL
+        AND (leader.session_id = mine.session_id OR leader.ip_address = mine.ip_address)
+      JOIN users u ON u.id = leader.user_id
+      WHERE a.id = $1 AND a.current_bid_user_id <> $2
+      GROUP BY u.email
+    `).get([auctionId, userId]);
+
+    if (!match) return null;
+    if (match.same_session) return { reason: 'shared_session', details: `Same browser session as the leader, ${match.email}` };
+    return { reason: 'shared_ip', details: `Same IP address as the leader, ${match.email}` };
+  }
+
+  // Bids the user has retracted themselves, counted over the recent window
+  async checkRetractions(userId) {
+    const { count } = await prepare(`
+      SELECT COUNT(*)::integer as count FROM bids
+      WHERE user_id = $1 AND void_reason = 'retracted' AND voided_at >= $2
+    `).get([userId, dayjs().subtract(RETRACTION_WINDOW_DAYS, 'day').toISOString()]);
+
+    if (count < RETRACTION_LIMIT) return null;
+    return { reason: 'retractions', details: `${count} bids retracted in the last ${RETRACTION_WINDOW_DAYS} days` };
+  }
+
+  async getFlag(flagId) {
+    return prepare('SELECT * FROM bid_flags WHERE id = $1').get([flagId]);
+  }
+
+  // Open flags, newest first, with who and what they concern
+  async openFlags() {
+    return prepare(`
+      SELECT f.*, u.email, u.name as user_name,
+        a.status as auction_status, a.current_bid, a.current_bid_user_id,
+        p.brand, p.name as product_name,
+        (SELECT COUNT(*) FROM bids b WHERE b.auction_id = f.auction_id AND b.user_id = f.user_id AND b.voided_at IS NULL)::integer as bid_count
+      FROM bid_flags f
+      JOIN users u ON u.id = f.user_id
+      JOIN auctions a ON a.id = f.auction_id
+      JOIN products p ON p.id = a.product_id
+      WHERE f.status = 'open'
+      ORDER BY f.created_at DESC
+    `).all();
+  }
+
+  // Close a flag as 'voided' or 'dismissed'. Voiding covers every open flag
+  // for the same account on the same auction, since their bids are gone.
+  async resolve(flag, status, adminId) {
+    const now = dayjs().toISOString();
+    if (status === 'voided') {
+      await query(`
+        UPDATE bid_flags SET status = 'voided', reviewed_by = $1, reviewed_at = $2
+        WHERE auction_id = $3 AND user_id = $4 AND status = 'open'
+      `, [adminId, now, flag.auction_id, flag.user_id]);
+    } else {
+      await query(`
+        UPDATE bid_flags SET status = $1, reviewed_by = $2, reviewed_at = $3 WHERE id = $4
+      `, [status, adminId, now, flag.id]);
+    }
+    this.logger.info('Bid flag resolved', { flagId: flag.id, status, adminId });
+  }
+}
+
+export default BidPatternAnalyzer;
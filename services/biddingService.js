@@ -0,0 +1,462 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, transaction } from '../database.js';
+
+// Site-wide default: the raise required while the price is below `upTo`
+// (the last band, with no ceiling, covers every higher price)
+export const DEFAULT_BID_INCREMENTS = [
+  { upTo: 100, increment: 5 },
+  { upTo: 500, increment: 10 },
+  { upTo: 1000, increment: 25 },
+  { upTo: null, increment: 50 }
+];
+
+// How long a bid waits for another bid's lock on the same auction before giving up
+const BID_LOCK_TIMEOUT = '5s';
+
+// Postgres errors that mean a competing bid got in the way: lock_not_available,
+// serialization_failure and deadlock_detected
+const BID_CONFLICT_CODES = ['55P03', '40001', '40P01'];
+
+// Reasons a bidder may give for retracting; anything else goes through support
+export const RETRACTION_REASONS = [
+  'I entered the wrong amount',
+  'The item description changed after I bid',
+  "I can't reach the seller"
+];
+
+// Error raised for bids that are rejected by auction rules (carries an HTTP status)
+export class BidError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BidError';
+    this.status = status;
+  }
+}
+
+// Increment that applies at a given price
+export function incrementFor(table, price) {
+  const band = table.find(b => b.upTo === null || price < b.upTo);
+  return band ? band.increment : table[table.length - 1].increment;
+}
+
+// Parse an increment table written as "100:5, 500:10, 1000:25, 50" (band
+// ceiling:increment, with a bare increment for the open-ended top band) or
+// given as an array of { upTo, increment }. Blank input means "no table".
+// Returns { table } or { error }.
+export function parseIncrementTable(input) {
+  if (input === undefined || input === null || input === '') return { table: null };
+
+  let bands;
+  if (Array.isArray(input)) {
+    bands = input.map(b => ({ upTo: b.upTo ?? b.up_to ?? null, increment: b.increment }));
+  } else {
+    const entries = String(input).split(',').map(e => e.trim()).filter(Boolean);
+    if (entries.length === 0) return { table: null };
+    bands = entries.map(entry => {
+      const [first, second] = entry.split(':').map(v => v.trim());
+      return second === undefined ? { upTo: null, increment: first } : { upTo: first, increment: second };
+    });
+  }
+
+  const table = [];
+  for (const [i, band] of bands.entries()) {
+    const increment = Number(band.increment);
+    const upTo = band.upTo === null || band.upTo === '' ? null : Number(band.upTo);
+    const last = i === bands.length - 1;
+
+    if (!Number.isInteger(increment) || increment <= 0) {
+      return { error: 'Bid increments must be positive whole dollar amounts' };
+    }
+    if (last && upTo !== null) {
+      return { error: 'The last increment must have no price ceiling (e.g. "100:5, 10")' };
+    }
+    if (!last) {
+      if (!Number.isInteger(upTo) || upTo <= 0) return { error: 'Price bands need a whole dollar ceiling' };
+      if (table.length > 0 && upTo <= table[table.length - 1].upTo) {
+        return { error: 'Price bands must be listed in increasing order' };
+      }
+    }
+    table.push({ upTo, increment });
+  }
+
+  return { table };
+}
+
+// Inverse of parseIncrementTable's text form
+export function formatIncrementTable(table) {
+  return table.map(b => (b.upTo === null ? `${b.increment}` : `${b.upTo}:${b.increment}`)).join(', ');
+}
+
+class BiddingService {
+  constructor(logger, options = {}) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+
+    // Bidders can't retract inside this many minutes of the end
+    this.retractionCutoffMinutes = options.retractionCutoffMinutes ?? Number(process.env.BID_RETRACTION_CUTOFF_MINUTES || 60);
+  }
+
+  // Site-wide increment table from settings, else the default
+  async siteIncrementTable(client = null) {
+    const db = client || { query };
+    const { rows: [setting] } = await db.query('SELECT value FROM settings WHERE key = $1', ['bid_increments']);
+    return setting?.value ? JSON.parse(setting.value) : DEFAULT_BID_INCREMENTS;
+  }
+
+  // Increment table for an auction: its own table when it has one
+  async incrementTable(auction, client = null) {
+    if (auction.bid_increments) return JSON.parse(auction.bid_increments);
+    return this.siteIncrementTable(client);
+  }
+
+  // Raise required over the auction's current price
+  currentIncrement(auction, table = DEFAULT_BID_INCREMENTS) {
+    return incrementFor(table, Math.max(auction.starting_bid, auction.current_bid || 0));
+  }
+
+  // Lowest amount the next bid on this auction may be
+  minimumNextBid(auction, table = DEFAULT_BID_INCREMENTS) {
+    return Math.max(auction.starting_bid, auction.current_bid || 0) + this.currentIncrement(auction, table);
+  }
+
+  // Whether the visible price has reached the auction's reserve (true when there is none)
+  reserveMet(auction) {
+    if (!auction.reserve_price) return true;
+    return (auction.current_bid || 0) >= auction.reserve_price;
+  }
+
+  // Hidden maximum a user has registered on an auction (null if none).
+  // Pass a transaction client to read inside that transaction.
+  async getMaxBid(auctionId, userId, client = null) {
+    const db = client || { query };
+    const { rows } = await db.query('SELECT * FROM max_bids WHERE auction_id = $1 AND user_id = $2', [auctionId, userId]);
+    return rows[0] || null;
+  }
+
+  async saveMaxBid(client, auctionId, userId, maxAmount) {
+    const now = dayjs().toISOString();
+    await client.query(`
+      INSERT INTO max_bids (auction_id, user_id, max_amount, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $4)
+      ON CONFLICT (auction_id, user_id)
+      DO UPDATE SET max_amount = EXCLUDED.max_amount, updated_at = EXCLUDED.updated_at
+    `, [auctionId, userId, maxAmount, now]);
+  }
+
+  // Place a proxy bid. `maxAmount` is the most the bidder is willing to pay; the
+  // visible price only rises as far as needed to beat the competing maximum.
+  // The auction row stays locked for the whole bid, so concurrent bids on the
+  // same auction are applied one at a time against the latest price.
+  // `origin` ({ ip, sessionId }) is recorded on the bidder's own bids.
+  async placeBid(auctionId, userId, maxAmount, origin = {}) {
+    try {
+      return await transaction(async (client) => {
+        await client.query(`SET LOCAL lock_timeout = '${BID_LOCK_TIMEOUT}'`);
+        return this.placeBidLocked(client, auctionId, userId, maxAmount, origin);
+      });
+    } catch (error) {
+      if (BID_CONFLICT_CODES.includes(error.code)) {
+        this.logger.warn('Bid conflict', { auctionId, userId, code: error.code });
+        throw new BidError('Another bid on this auction is being processed. Please try again.', 409);
+      }
+      throw error;
+    }
+  }
+
+  async placeBidLocked(client, auctionId, userId, maxAmount, origin = {}) {
+    const { rows: [auction] } = await client.query('SELECT * FROM auctions WHERE id = $1 FOR UPDATE', [auctionId]);
+    if (!auction) throw new BidError('Not found', 404);
+
+    const now = dayjs();
+    if (auction.status === 'scheduled' || dayjs(auction.start_time).isAfter(now)) {
+      throw new BidError('Auction has not started yet');
+    }
+    if (dayjs(auction.end_time).isBefore(now) || auction.status !== 'open') {
+      throw new BidError('Auction ended');
+    }
+
+    const amt = Number(maxAmount);
+    if (!Number.isFinite(amt) || amt <= 0) throw new BidError('Invalid amount');
+    if (!Number.isInteger(amt)) throw new BidError('Bids must be whole dollar amounts');
+
+    if (auction.auction_type === 'sealed') return this.placeSealedBid(client, auction, userId, amt);
+
+    const table = await this.incrementTable(auction, client);
+
+    const leaderId = auction.current_bid_user_id;
+
+    // The current leader is only raising their own ceiling; the visible price stays put
+    if (leaderId === userId) {
+      const existing = await this.getMaxBid(auctionId, userId, client);
+      const ceiling = Math.max(existing?.max_amount || 0, auction.current_bid || 0);
+      if (amt <= ceiling) {
+        throw new BidError(`Your maximum bid is already $${ceiling}`);
+      }
+      await this.saveMaxBid(client, auctionId, userId, amt);
+
+      // A higher ceiling can carry the leader up to an unmet reserve
+      let currentBid = auction.current_bid;
+      if (auction.reserve_price && currentBid < auction.reserve_price && amt >= auction.reserve_price) {
+        currentBid = auction.reserve_price;
+        await this.insertBid(client, auctionId, userId, currentBid, true, origin);
+        await client.query('UPDATE auctions SET current_bid = $1 WHERE id = $2', [currentBid, auctionId]);
+      }
+
+      this.logger.info('Maximum bid raised', { auctionId, userId, maxAmount: amt, currentBid });
+      return {
+        leading: true,
+        currentBid,
+        leaderId: userId,
+        previousLeaderId: leaderId,
+        maxBid: amt,
+        endTime: auction.end_time,
+        extended: false,
+        placedCount: currentBid === auction.current_bid ? 0 : 1
+      };
+    }
+
+    const min = this.minimumNextBid(auction, table);
+    if (amt < min) {
+      throw new BidError(`Minimum next bid is ${min} (bids on this auction rise by $${this.currentIncrement(auction, table)} at the current price)`);
+    }
+
+    await this.saveMaxBid(client, auctionId, userId, amt);
+
+    // Visible bids to record, in order: [userId, amount, isProxy]
+    const placed = [];
+    let newLeaderId;
+    let price;
+
+    if (!leaderId) {
+      newLeaderId = userId;
+      price = this.priceWithReserve(auction, min, amt);
+      placed.push([userId, price, false]);
+    } else {
+      // Leaders from before proxy bidding have no stored maximum; their bid is their ceiling
+      const leaderProxy = await this.getMaxBid(auctionId, leaderId, client);
+      const leaderMax = Math.max(leaderProxy?.max_amount || 0, auction.current_bid);
+
+      if (amt > leaderMax) {
+        if (leaderMax > auction.current_bid) placed.push([leaderId, leaderMax, true]);
+        newLeaderId = userId;
+        price = this.priceWithReserve(auction, Math.min(amt, leaderMax + incrementFor(table, leaderMax)), amt);
+        placed.push([userId, price, false]);
+      } else {
+        // Ties go to the earlier maximum. A bid that only matches it is turned
+        // away, so two bidders never stand at the same top amount and the
+        // bid history always agrees with the recorded leader.
+        if (amt === leaderMax) {
+          throw new BidError(`Another bidder's maximum is already $${amt}, and ties go to the earlier bid. Bid at least $${amt + incrementFor(table, amt)} to take the lead.`);
+        }
+        placed.push([userId, amt, false]);
+        newLeaderId = leaderId;
+        price = this.priceWithReserve(auction, Math.min(leaderMax, amt + incrementFor(table, amt)), leaderMax);
+        placed.push([leaderId, price, true]);
+      }
+    }
+
+    for (const [bidderId, amount, isProxy] of placed) {
+      await this.insertBid(client, auctionId, bidderId, amount, isProxy, bidderId === userId ? origin : {});
+    }
+    await client.query('UPDATE auctions SET current_bid = $1, current_bid_user_id = $2 WHERE id = $3',
+      [price, newLeaderId, auctionId]);
+
+    const extendedEndTime = await this.applySoftClose(client, auction, now);
+
+    this.logger.info('Bid placed', {
+      auctionId,
+      userId,
+      maxAmount: amt,
+      currentBid: price,
+      leaderId: newLeaderId,
+      extendedEndTime
+    });
+
+    return {
+      leading: newLeaderId === userId,
+      currentBid: price,
+      leaderId: newLeaderId,
+      previousLeaderId: leaderId || null,
+      maxBid: amt,
+      endTime: extendedEndTime || auction.end_time,
+      extended: !!extendedEndTime,
+      placedCount: placed.length
+    };
+  }
+
+  async insertBid(client, auctionId, userId, amount, isProxy, origin = {}) {
+    await client.query(`
+      INSERT INTO bids (auction_id, user_id, amount, is_proxy, ip_address, session_id, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+    `, [auctionId, userId, amount, isProxy ? 1 : 0, origin.ip || null, origin.sessionId || null, dayjs().toISOString()]);
+  }
+
+  // Whether bidders may still retract on this auction: it's open and not yet
+  // inside the closing window
+  retractionOpen(auction, now = dayjs()) {
+    return auction.status === 'open' && dayjs(auction.end_time).diff(now, 'minute', true) > this.retractionCutoffMinutes;
+  }
+
+  // A bidder taking back their bid. Proxy bids all stem from one maximum, so
+  // every bid they have on the auction goes with it.
+  async retractBids(auctionId, userId, note) {
+    if (!RETRACTION_REASONS.includes(note)) throw new BidError('Please choose a reason for retracting');
+
+    return transaction(async (client) => {
+      const { rows: [auction] } = await client.query('SELECT * FROM auctions WHERE id = $1 FOR UPDATE', [auctionId]);
+      if (!auction) throw new BidError('Not found', 404);
+      if (auction.status !== 'open') throw new BidError('Bids can only be retracted while the auction is open');
+      if (!this.retractionOpen(auction)) {
+        throw new BidError(`Bids can't be retracted in the last ${this.retractionCutoffMinutes} minutes of an auction`);
+      }
+      return this.voidBidsLocked(client, auction, userId, { reason: 'retracted', actorId: userId, note });
+    });
+  }
+
+  // Void every bid a user has on an open auction, for an admin cancellation
+  // ('cancelled') or a flagged account ('flagged')
+  async voidBids(auctionId, userId, { reason, actorId = null, note = null }) {
+    return transaction(async (client) => {
+      const { rows: [auction] } = await client.query('SELECT * FROM auctions WHERE id = $1 FOR UPDATE', [auctionId]);
+      if (!auction) throw new BidError('Not found', 404);
+      if (auction.status !== 'open') throw new BidError('Bids can only be voided while the auction is open');
+      return this.voidBidsLocked(client, auction, userId, { reason, actorId, note });
+    });
+  }
+
+  // Void the user's bids and hidden maximum (`reason` is stored on each bid),
+  // reprice the auction from the bids that remain and record it all in the
+  // bid audit log. The auction row must already be locked.
+  async voidBidsLocked(client, auction, userId, { reason, actorId, note }) {
+    const maxBid = await this.getMaxBid(auction.id, userId, client);
+    const { rowCount } = await client.query(`
+      UPDATE bids SET voided_at = $1, void_reason = $2
+      WHERE auction_id = $3 AND user_id = $4 AND voided_at IS NULL
+    `, [dayjs().toISOString(), reason, auction.id, userId]);
+    if (rowCount === 0 && !maxBid) throw new BidError('There are no bids to remove on this auction', 404);
+    await client.query('DELETE FROM max_bids WHERE auction_id = $1 AND user_id = $2', [auction.id, userId]);
+
+    const repriced = await this.reprice(client, auction);
+
+    await client.query(`
+      INSERT INTO bid_audit_log (auction_id, user_id, actor_id, action, note, bids_voided, max_amount,
+        previous_bid, previous_leader_id, new_bid, new_leader_id, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    `, [auction.id, userId, actorId, reason, note, rowCount, maxBid?.max_amount ?? null,
+      auction.current_bid, auction.current_bid_user_id, repriced.currentBid, repriced.leaderId, dayjs().toISOString()]);
+
+    this.logger.info('Bids voided', { auctionId: auction.id, userId, reason, actorId, voided: rowCount, ...repriced });
+    return { voided: rowCount, ...repriced };
+  }
+
+  // Rebuild the price and leader from the bids still standing, as if the
+  // voided ones had never been placed: the highest remaining maximum leads,
+  // one increment over the runner-up's. Bids left above the new price were
+  // only there to answer voided ones, so they are voided as 'repriced'.
+  async reprice(client, auction) {
+    const previousLeaderId = auction.current_bid_user_id;
+    // Sealed auctions have no visible price until they close
+    if (auction.auction_type === 'sealed') return { currentBid: null, leaderId: null, previousLeaderId };
+
+    const { rows: bidders } = await client.query(`
+      SELECT b.user_id, GREATEST(MAX(b.amount), COALESCE(MAX(m.max_amount), 0)) as ceiling,
+        COALESCE(MAX(m.updated_at), MAX(b.created_at)) as set_at
+      FROM bids b
+      LEFT JOIN max_bids m ON m.auction_id = b.auction_id AND m.user_id = b.user_id
+      WHERE b.auction_id = $1 AND b.voided_at IS NULL
+      GROUP BY b.user_id
+      ORDER BY ceiling DESC, set_at ASC
+    `, [auction.id]);
+
+    if (bidders.length === 0) {
+      await client.query('UPDATE auctions SET current_bid = NULL, current_bid_user_id = NULL WHERE id = $1', [auction.id]);
+      return { currentBid: null, leaderId: null, previousLeaderId };
+    }
+
+    const table = await this.incrementTable(auction, client);
+    const [leader, runnerUp] = bidders;
+    const price = this.priceWithReserve(auction, runnerUp
+      ? Math.min(leader.ceiling, runnerUp.ceiling + incrementFor(table, runnerUp.ceiling))
+      : Math.min(leader.ceiling, auction.starting_bid + incrementFor(table, auction.starting_bid)), leader.ceiling);
+
+    await client.query(`
+      UPDATE bids SET voided_at = $1, void_reason = 'repriced'
+      WHERE auction_id = $2 AND voided_at IS NULL AND amount > $3
+    `, [dayjs().toISOString(), auction.id, price]);
+
+    const { rows: [standing] } = await client.query(
+      'SELECT id FROM bids WHERE auction_id = $1 AND user_id = $2 AND amount = $3 AND voided_at IS NULL LIMIT 1',
+      [auction.id, leader.user_id, price]
+    );
+    if (!standing) await this.insertBid(client, auction.id, leader.user_id, price, true);
+
+    await client.query('UPDATE auctions SET current_bid = $1, current_bid_user_id = $2 WHERE id = $3',
+      [price, leader.user_id, auction.id]);
+    return { currentBid: price, leaderId: leader.user_id, previousLeaderId };
+  }
+
+  // Sealed auctions: one hidden bid per user, revisable until close. Nothing
+  // public changes; the scheduler reveals the bids when the auction closes.
+  async placeSealedBid(client, auction, userId, amount) {
+    if (amount < auction.starting_bid) throw new BidError(`Minimum bid is ${auction.starting_bid}`);
+
+    const existing = await this.getMaxBid(auction.id, userId, client);
+    await this.saveMaxBid(client, auction.id, userId, amount);
+
+    this.logger.info(existing ? 'Sealed bid revised' : 'Sealed bid placed', { auctionId: auction.id, userId });
+    return {
+      sealed: true,
+      leading: null,
+      currentBid: null,
+      leaderId: null,
+      previousLeaderId: null,
+      maxBid: amount,
+      endTime: auction.end_time,
+      extended: false,
+      placedCount: 0
+    };
+  }
+
+  // Once the leader's maximum covers the reserve, the price jumps straight to it
+  priceWithReserve(auction, price, leaderMax) {
+    const reserve = auction.reserve_price || 0;
+    if (reserve && price < reserve && leaderMax >= reserve) return reserve;
+    return price;
+  }
+
+  // Anti-sniping: a bid inside the auction's soft-close window pushes the end
+  // out so at least the extension period remains. Returns the new end or null.
+  async applySoftClose(client, auction, bidTime) {
+    const windowMinutes = auction.soft_close_minutes || 0;
+    const extensionMinutes = auction.soft_close_extension_minutes || 0;
+    if (windowMinutes <= 0 || extensionMinutes <= 0) return null;
+
+    const endTime = dayjs(auction.end_time);
+    if (endTime.diff(bidTime, 'minute', true) > windowMinutes) return null;
+
+    const newEnd = bidTime.add(extensionMinutes, 'minute');
+    if (!newEnd.isAfter(endTime)) return null;
+
+    await client.query(`
+      UPDATE auctions
+      SET end_time = $1,
+        original_end_time = COALESCE(original_end_time, end_time),
+        extension_count = COALESCE(extension_count, 0) + 1
+      WHERE id = $2
+    `, [newEnd.toISOString(), auction.id]);
+
+    this.logger.info('Auction extended by soft close', {
+      auctionId: auction.id,
+      previousEndTime: endTime.toISOString(),
+      newEndTime: newEnd.toISOString()
+    });
+
+    return newEnd.toDate();
+  }
+}
+
+export default BiddingService;
@@ -0,0 +1,215 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare, transaction } from '../database.js';
+
+// Error raised when a brand can't be saved or removed (carries an HTTP status)
+export class BrandError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'BrandError';
+    this.status = status;
+  }
+}
+
+// Comma-separated aliases from the admin form, trimmed and de-duplicated
+function parseAliases(value) {
+  const seen = new Set();
+  return String(value || '').split(',').map(a => a.trim()).filter(alias => {
+    const key = alias.toLowerCase();
+    if (!alias || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// The brands products may be listed under. products.brand holds a brand's
+// name, so renaming a brand renames it on its products too. Aliases let
+// imports and admins use other spellings ("Air Jordan" for Jordan), and a
+// brand can sit under a parent (Jordan under Nike), which then covers it
+// on the storefront.
+class BrandService {
+  constructor(logger) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  // Every brand with its parent, aliases and product count, parents before their sub-brands
+  async list() {
+    return prepare(`
+      SELECT b.*, parent.name as parent_name,
+        COALESCE((SELECT array_agg(a.alias ORDER BY a.alias) FROM brand_aliases a WHERE a.brand_id = b.id), '{}') as aliases,
+        (SELECT COUNT(*) FROM products p WHERE p.brand = b.name)::integer as product_count
+      FROM brands b
+      LEFT JOIN brands parent ON parent.id = b.parent_id
+      ORDER BY COALESCE(parent.name, b.name), b.parent_id IS NOT NULL, b.name
+    `).all();
+  }
+
+  async get(brandId) {
+    return prepare('SELECT * FROM brands WHERE id = $1').get([brandId]);
+  }
+
+  // The brand a name or alias refers to (case-insensitive), or null if none does
+  async resolve(name) {
+    const value = String(name || '').trim();
+    if (!value) return null;
+    return prepare(`
+      SELECT b.* FROM brands b
+      WHERE LOWER(b.name) = LOWER($1)
+        OR EXISTS (SELECT 1 FROM brand_aliases a WHERE a.brand_id = b.id AND LOWER(a.alias) = LOWER($1))
+      ORDER BY LOWER(b.name) = LOWER($1) DESC
+      LIMIT 1
+    `).get([value]);
+  }
+
+  // A brand's name and the names of every brand under it, for storefront
+  // filters. The name may be an alias; it's resolved to the catalog brand first.
+  async familyNames(name) {
+    const brand = await this.resolve(name);
+    if (!brand) return [name];
+    const rows = await prepare(`
+      WITH RECURSIVE family AS (
+        SELECT id, name FROM brands WHERE id = $1
+        UNION ALL
+        SELECT b.id, b.name FROM brands b JOIN family f ON b.parent_id = f.id
+      )
+      SELECT name FROM family
+    `).all([brand.id]);
+    return rows.map(r => r.name);
+  }
+
+  // Top-level brands by how many products they and their sub-brands carry,
+  // each with its most valuable product to show off
+  async popular(limit = 6) {
+    return prepare(`
+      WITH RECURSIVE family AS (
+        SELECT id as root_id, id FROM brands WHERE parent_id IS NULL
+        UNION ALL
+        SELECT f.root_id, b.id FROM brands b JOIN family f ON b.parent_id = f.id
+      ),
+      counts AS (
+        SELECT f.root_id, COUNT(p.id)::integer as product_count
+        FROM family f
+        JOIN brands b ON b.id = f.id
+        JOIN products p ON p.brand = b.name
+        GROUP BY f.root_id
+        ORDER BY product_count DESC
+        LIMIT $1
+      )
+      SELECT root.name as brand, root.logo_url, c.product_count,
+        showcase.id, showcase.name, showcase.image_url, showcase.highest_market_price, showcase.size
+      FROM counts c
+      JOIN brands root ON root.id = c.root_id
+      JOIN LATERAL (
+        SELECT p.* FROM products p
+        JOIN brands b ON b.name = p.brand
+        JOIN family f ON f.id = b.id AND f.root_id = c.root_id
+        ORDER BY p.highest_market_price DESC NULLS LAST, p.id DESC
+        LIMIT 1
+      ) showcase ON true
+      ORDER BY c.product_count DESC, showcase.highest_market_price DESC
+    `).all([limit]);
+  }
+
+  // Name, logo and parent from the admin form
+  async parseFields(fields, brandId = null) {
+    const name = String(fields.name || '').trim();
+    if (!name) throw new BrandError('Brand name is required');
+    if (name.length > 100) throw new BrandError('Brand names must be 100 characters or fewer');
+
+    const logoUrl = String(fields.logo_url || '').trim() || null;
+    if (logoUrl && !/^https?:\/\//i.test(logoUrl)) throw new BrandError('Logo must be an http(s) URL');
+
+    let parentId = fields.parent_id ? Number(fields.parent_id) : null;
+    if (parentId !== null) {
+      const parent = await this.get(parentId);
+      if (!parent) throw new BrandError('Parent brand not found');
+      if (brandId !== null) {
+        // A brand can't sit under itself or anything already under it
+        const { rows: [loop] } = await query(`
+          WITH RECURSIVE ancestors AS (
+            SELECT id, parent_id FROM brands WHERE id = $1
+            UNION ALL
+            SELECT b.id, b.parent_id FROM brands b JOIN ancestors a ON b.id = a.parent_id
+          )
+          SELECT 1 FROM ancestors WHERE id = $2
+        `, [parentId, brandId]);
+        if (loop) throw new BrandError('A brand cannot sit under itself or one of its own sub-brands');
+      }
+      parentId = parent.id;
+    }
+
+    return { name, logoUrl, parentId, aliases: parseAliases(fields.aliases) };
+  }
+
+  // Aliases may not collide with another brand's name or alias
+  async checkAliases(brandId, aliases) {
+    for (const alias of aliases) {
+      const other = await this.resolve(alias);
+      if (other && other.id !== brandId) throw new BrandError(`"${alias}" already refers to ${other.name}`);
+    }
+  }
+
+  async saveAliases(client, brandId, name, aliases) {
+    await client.query('DELETE FROM brand_aliases WHERE brand_id = $1', [brandId]);
+    for (const alias of aliases) {
+      if (alias.toLowerCase() === name.toLowerCase()) continue;
+      await client.query('INSERT INTO brand_aliases (brand_id, alias) VALUES ($1, $2)', [brandId, alias]);
+    }
+  }
+
+  async create(fields) {
+    const brand = await this.parseFields(fields);
+    if (await this.resolve(brand.name)) throw new BrandError(`${brand.name} is already a brand or alias`);
+    await this.checkAliases(null, brand.aliases);
+
+    const created = await transaction(async client => {
+      const { rows: [row] } = await client.query(`
+        INSERT INTO brands (name, logo_url, parent_id, created_at) VALUES ($1, $2, $3, $4) RETURNING *
+      `, [brand.name, brand.logoUrl, brand.parentId, dayjs().toISOString()]);
+      await this.saveAliases(client, row.id, row.name, brand.aliases);
+      return row;
+    });
+
+    this.logger.info('Brand created', { brandId: created.id, name: created.name, parentId: created.parent_id });
+    return created;
+  }
+
+  async update(brandId, fields) {
+    const existing = await this.get(brandId);
+    if (!existing) throw new BrandError('Brand not found', 404);
+
+    const brand = await this.parseFields(fields, brandId);
+    const other = await this.resolve(brand.name);
+    if (other && other.id !== brandId) throw new BrandError(`${brand.name} is already a brand or alias`);
+    await this.checkAliases(brandId, brand.aliases);
+
+    await transaction(async client => {
+      await client.query('UPDATE brands SET name = $1, logo_url = $2, parent_id = $3 WHERE id = $4',
+        [brand.name, brand.logoUrl, brand.parentId, brandId]);
+      if (brand.name !== existing.name) {
+        await client.query('UPDATE products SET brand = $1 WHERE brand = $2', [brand.name, existing.name]);
+      }
+      await this.saveAliases(client, brandId, brand.name, brand.aliases);
+    });
+
+    this.logger.info('Brand updated', { brandId, name: brand.name, renamedFrom: brand.name !== existing.name ? existing.name : undefined });
+  }
+
+  // Brands still on products stay; sub-brands of a removed brand become top-level
+  async remove(brandId) {
+    const brand = await this.get(brandId);
+    if (!brand) throw new BrandError('Brand not found', 404);
+
+    const { count } = await prepare('SELECT COUNT(*)::integer as count FROM products WHERE brand = $1').get([brand.name]);
+    if (count > 0) throw new BrandError(`${brand.name} is on ${count} product${count === 1 ? '' : 's'}; move them to another brand first`);
+
+    await query('DELETE FROM brands WHERE id = $1', [brandId]);
+    this.logger.info('Brand deleted', { brandId, name: brand.name });
+  }
+}
+
+export default BrandService;
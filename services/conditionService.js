@@ -0,0 +1,149 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare } from '../database.js';
+
+// Error raised when condition or authentication details can't be saved (carries an HTTP status)
+export class ConditionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ConditionError';
+    this.status = status;
+  }
+}
+
+// Display names for each stored value, shared by the admin form and the badges
+export const CONDITION_LABELS = {
+  condition: {
+    ds: 'Deadstock',
+    vnds: 'VNDS',
+    used: 'Used'
+  },
+  box: {
+    original: 'Original box',
+    damaged: 'Damaged box',
+    replacement: 'Replacement box',
+    none: 'No box'
+  },
+  accessories: {
+    extra_laces: 'Extra laces',
+    tags: 'Tags',
+    inserts: 'Inserts / paper',
+    dust_bag: 'Dust bag',
+    receipt: 'Receipt'
+  },
+  auth: {
+    pending: 'Authentication pending',
+    passed: 'Authenticated',
+    failed: 'Failed authentication'
+  }
+};
+
+// The accessories a product row lists, as keys (stored as a JSON array)
+export function accessoriesOf(product) {
+  try {
+    const keys = JSON.parse(product?.accessories || '[]');
+    return Array.isArray(keys) ? keys.filter(key => CONDITION_LABELS.accessories[key]) : [];
+  } catch {
+    return [];
+  }
+}
+
+// What condition a pair is in (DS = deadstock, never worn; VNDS = very near
+// deadstock, worn once or twice; used, with a 1-10 rating), what box and
+// extras come with it, photographed flaws, and whether it passed authentication
+class ConditionService {
+  constructor(logger) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  async updateCondition(productId, fields) {
+    const condition = fields.condition || null;
+    if (condition && !CONDITION_LABELS.condition[condition]) throw new ConditionError('Unknown condition');
+
+    // Deadstock pairs are unworn by definition, so only worn ones get a rating
+    let rating = null;
+    if (condition && condition !== 'ds' && fields.condition_rating !== undefined && fields.condition_rating !== '') {
+      rating = Number(fields.condition_rating);
+      if (!Number.isInteger(rating) || rating < 1 || rating > 10) throw new ConditionError('Condition rating must be a whole number from 1 to 10');
+    }
+
+    const box = fields.box_condition || null;
+    if (box && !CONDITION_LABELS.box[box]) throw new ConditionError('Unknown box condition');
+
+    const picked = [].concat(fields.accessories || []);
+    const unknown = picked.find(key => !CONDITION_LABELS.accessories[key]);
+    if (unknown) throw new ConditionError(`Unknown accessory: ${unknown}`);
+
+    const result = await query(`
+      UPDATE products SET condition = $1, condition_rating = $2, box_condition = $3, accessories = $4
+      WHERE id = $5
+    `, [condition, rating, box, picked.length > 0 ? JSON.stringify(picked) : null, productId]);
+    if (result.rowCount === 0) throw new ConditionError('Product not found', 404);
+
+    this.logger.info('Product condition updated', { productId, condition, rating, box, accessories: picked });
+  }
+
+  // Record an authentication result. Passed and failed results keep who
+  // checked the pair and when; setting it back to pending clears them.
+  async setAuthentication(productId, status, adminId, notes = '') {
+    if (!CONDITION_LABELS.auth[status]) throw new ConditionError('Unknown authentication status');
+
+    const decided = status !== 'pending';
+    const result = await query(`
+      UPDATE products SET auth_status = $1, auth_verified_by = $2, auth_verified_at = $3, auth_notes = $4
+      WHERE id = $5
+    `, [
+      status,
+      decided ? adminId : null,
+      decided ? dayjs().toISOString() : null,
+      String(notes || '').trim() || null,
+      productId
+    ]);
+    if (result.rowCount === 0) throw new ConditionError('Product not found', 404);
+
+    this.logger.info('Product authentication recorded', { productId, status, adminId });
+  }
+
+  // Who verified a product, for the admin page
+  async verifier(product) {
+    if (!product.auth_verified_by) return null;
+    return prepare('SELECT id, email, name FROM users WHERE id = $1').get([product.auth_verified_by]);
+  }
+
+  async flawsFor(productId) {
+    return prepare('SELECT * FROM product_flaws WHERE product_id = $1 ORDER BY id').all([productId]);
+  }
+
+  async addFlaw(productId, fields) {
+    const description = String(fields.description || '').trim();
+    if (!description) throw new ConditionError('Describe the flaw');
+    if (description.length > 500) throw new ConditionError('Flaw descriptions must be 500 characters or fewer');
+
+    const imageUrl = String(fields.image_url || '').trim();
+    if (imageUrl && !/^https?:\/\//i.test(imageUrl)) throw new ConditionError('Flaw photo must be an http(s) URL');
+
+    try {
+      const { rows: [flaw] } = await query(`
+        INSERT INTO product_flaws (product_id, description, image_url, created_at)
+        VALUES ($1, $2, $3, $4) RETURNING *
+      `, [productId, description, imageUrl || null, dayjs().toISOString()]);
+      this.logger.info('Product flaw added', { productId, flawId: flaw.id });
+      return flaw;
+    } catch (error) {
+      if (error.code === '23503') throw new ConditionError('Product not found', 404);
+      throw error;
+    }
+  }
+
+  async removeFlaw(productId, flawId) {
+    const result = await query('DELETE FROM product_flaws WHERE id = $1 AND product_id = $2', [flawId, productId]);
+    if (result.rowCount === 0) throw new ConditionError('Flaw not found', 404);
+    this.logger.info('Product flaw removed', { productId, flawId });
+  }
+}
+
+export default ConditionService;
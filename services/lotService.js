@@ -0,0 +1,139 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare } from '../database.js';
+
+// Error raised when products can't be bundled into a lot (carries an HTTP status)
+export class LotError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'LotError';
+    this.status = status;
+  }
+}
+
+// Product ids for a lot from a comma-separated string ("12, 15, 19") or an
+// array. Returns { productIds } or { error }; duplicates are dropped.
+export function parseLotProductIds(input) {
+  if (input === undefined || input === null || input === '') return { productIds: [] };
+
+  const parts = Array.isArray(input) ? input : String(input).split(',');
+  const productIds = [];
+  for (const part of parts) {
+    const text = String(part).trim();
+    if (text === '') continue;
+    const id = Number(text);
+    if (!Number.isInteger(id) || id <= 0) return { error: `Invalid product id "${text}"` };
+    if (!productIds.includes(id)) productIds.push(id);
+  }
+  return { productIds };
+}
+
+class LotService {
+  constructor(logger, options = {}) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.variantService = options.variantService;
+  }
+
+  // Every product in a lot must exist, be unsold and not already be up in
+  // another open or scheduled auction (on its own or inside a lot). Pass the
+  // caller's client to check from inside a transaction.
+  async validateProducts(productIds, client = null) {
+    const db = client || { query };
+    const { rows: products } = await db.query('SELECT id, status FROM products WHERE id = ANY($1)', [productIds]);
+    const missing = productIds.filter(id => !products.some(p => p.id === id));
+    if (missing.length > 0) throw new LotError(`Product not found: #${missing.join(', #')}`, 404);
+
+    const sold = products.filter(p => p.status === 'sold').map(p => p.id);
+    if (sold.length > 0) throw new LotError(`Already sold: #${sold.join(', #')}`);
+
+    // A lot sells whole products, which can't be split across sizes
+    const { rows: sized } = await db.query(`
+      SELECT product_id FROM product_variants WHERE product_id = ANY($1) GROUP BY product_id HAVING COUNT(*) > 1
+    `, [productIds]);
+    if (sized.length > 0) throw new LotError(`Sold in several sizes, so can't go in a lot: #${sized.map(r => r.product_id).join(', #')}`);
+
+    const { rows: busy } = await db.query(`
+      SELECT product_id FROM auctions
+      WHERE status IN ('open', 'scheduled') AND product_id = ANY($1)
+      UNION
+      SELECT li.product_id FROM auction_lot_items li
+      JOIN auctions a ON a.id = li.auction_id
+      WHERE a.status IN ('open', 'scheduled') AND li.product_id = ANY($1)
+    `, [productIds]);
+    if (busy.length > 0) {
+      throw new LotError(`Already in an active auction: #${busy.map(r => r.product_id).join(', #')}`);
+    }
+  }
+
+  // Record the products of a newly created lot; the first id is the lead item
+  async addItems(client, auctionId, productIds) {
+    const db = client || { query };
+    const now = dayjs().toISOString();
+    for (const [position, productId] of productIds.entries()) {
+      await db.query(`
+        INSERT INTO auction_lot_items (auction_id, product_id, position, created_at)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (auction_id, product_id) DO NOTHING
+      `, [auctionId, productId, position, now]);
+    }
+  }
+
+  // Products in a lot with their gallery images; empty for single-item auctions
+  async itemsFor(auctionId) {
+    const items = await prepare(`
+      SELECT p.*, li.position
+      FROM auction_lot_items li
+      JOIN products p ON p.id = li.product_id
+      WHERE li.auction_id = $1
+      ORDER BY li.position ASC, li.id ASC
+    `).all([auctionId]);
+    if (items.length === 0) return items;
+
+    const images = await prepare(`
+      SELECT * FROM product_images WHERE product_id = ANY($1) ORDER BY display_order, id
+    `).all([items.map(item => item.id)]);
+    return items.map(item => ({ ...item, images: images.filter(img => img.product_id === item.id) }));
+  }
+
+  // Mark everything a paid order covers as sold in one statement: all items
+  // of a lot, the auctioned product, or the product bought outright. An order
+  // for one size instead takes a pair off that size's stock.
+  async markOrderSold(order) {
+    const { rows: [sized] } = await query(`
+      SELECT COALESCE(o.variant_id, a.variant_id) as variant_id
+      FROM orders o LEFT JOIN auctions a ON a.id = o.auction_id
+      WHERE o.id = $1
+    `, [order.id]);
+    if (sized?.variant_id && this.variantService) {
+      // Payment confirmations can repeat; only the first takes the pair off stock
+      const claimed = await query(
+        'UPDATE orders SET stock_deducted_at = $1 WHERE id = $2 AND stock_deducted_at IS NULL', [dayjs().toISOString(), order.id]
+      );
+      if (claimed.rowCount > 0) await this.variantService.sellOne(sized.variant_id);
+      return claimed.rowCount;
+    }
+
+    const { rows: sold } = await query(`
+      UPDATE products SET status = 'sold', is_available = 0, sold_at = $1
+      WHERE id IN (
+        SELECT product_id FROM auction_lot_items WHERE auction_id = $2
+        UNION SELECT product_id FROM auctions WHERE id = $2
+        UNION SELECT $3::integer
+      )
+      RETURNING id
+    `, [dayjs().toISOString(), order.auction_id || null, order.product_id || null]);
+
+    // Selling a product outright sells every size of it
+    await query('UPDATE product_variants SET quantity = 0 WHERE product_id = ANY($1)', [sold.map(p => p.id)]);
+
+    this.logger.info('Products marked sold', { orderId: order.id, productIds: sold.map(p => p.id) });
+    return sold.length;
+  }
+}
+
+export default LotService;
@@ -0,0 +1,66 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare } from '../database.js';
+
+class NotificationService {
+  constructor(logger) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  // Store an in-app notification and hand it to the email channel
+  async notify(userId, { type, title, message, link = null }) {
+    try {
+      const result = await query(`
+        INSERT INTO notifications (user_id, type, title, message, link, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING id
+      `, [userId, type, title, message, link, dayjs().toISOString()]);
+
+      await this.sendEmail(userId, { title, message, link });
+
+      return result.rows[0].id;
+    } catch (error) {
+      // Notifications are best effort; never fail the action that triggered them
+      this.logger.error('Failed to create notification', { userId, type, error: error.message });
+      return null;
+    }
+  }
+
+  // Email delivery placeholder (same approach as shipping notifications)
+  async sendEmail(userId, { title, message, link }) {
+    if (!process.env.SMTP_HOST || !process.env.FROM_EMAIL) return;
+
+    const user = await prepare('SELECT email, name FROM users WHERE id = $1').get([userId]);
+    if (!user?.email) return;
+
+    const baseUrl = process.env.BASE_URL || 'http://localhost:3000';
+    this.logger.info('Notification email would be sent', {
+      to: user.email,
+      subject: title,
+      content: `${message}${link ? `\n\n${baseUrl}${link}` : ''}`
+    });
+  }
+
+  async listForUser(userId, limit = 50) {
+    return prepare(`
+      SELECT * FROM notifications
+      WHERE user_id = $1
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2
+    `).all([userId, limit]);
+  }
+
+  async unreadCount(userId) {
+    const row = await prepare('SELECT COUNT(*) as count FROM notifications WHERE user_id = $1 AND read_at IS NULL').get([userId]);
+    return Number(row?.count || 0);
+  }
+
+  async markAllRead(userId) {
+    await query('UPDATE notifications SET read_at = $1 WHERE user_id = $2 AND read_at IS NULL', [dayjs().toISOString(), userId]);
+  }
+}
+
+export default NotificationService;
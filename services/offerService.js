@@ -0,0 +1,273 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare, transaction } from '../database.js';
+
+// Error raised when an offer can't be made or answered (carries an HTTP status)
+export class OfferError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'OfferError';
+    this.status = status;
+  }
+}
+
+// Offers still waiting on the admin ('pending') or on the buyer ('countered')
+const OPEN_STATUSES = ['pending', 'countered'];
+
+class OfferService {
+  constructor(logger, notificationService, options = {}) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.notificationService = notificationService;
+    this.paymentWindowHours = options.paymentWindowHours || Number(process.env.OFFER_PAYMENT_WINDOW_HOURS || 48);
+    this.raffleService = options.raffleService || null;
+  }
+
+  // Whole-dollar amount check shared by offers and counters
+  parseAmount(value) {
+    const amount = Number(value);
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new OfferError('Offers must be whole dollar amounts');
+    }
+    return amount;
+  }
+
+  // Reason the product can't take offers right now, or null
+  async unavailableReason(product, client = null) {
+    const db = client || { query };
+    if (!product.accepts_offers) return 'This item is not open to offers';
+    if (product.status === 'sold') return 'This item has already sold';
+
+    // An accepted offer sells the whole product, which can't be split across sizes
+    const { rows: [sizes] } = await db.query('SELECT COUNT(*)::integer as count FROM product_variants WHERE product_id = $1', [product.id]);
+    if (sizes.count > 1) return 'Offers are not taken on items sold in several sizes';
+
+    const { rows: [auction] } = await db.query(`
+      SELECT a.id FROM auctions a
+      WHERE a.status IN ('open', 'scheduled')
+        AND (a.product_id = $1 OR a.id IN (SELECT auction_id FROM auction_lot_items WHERE product_id = $1))
+      LIMIT 1
+    `, [product.id]);
+    if (auction) return 'This item is up for auction';
+
+    if (this.raffleService && await this.raffleService.activeRaffle([product.id], client)) return 'This item is being sold by raffle';
+
+    if (await this.pendingAcceptedOffer(product.id, client)) return 'An offer on this item has already been accepted';
+
+    // The same window Buy It Now treats as a checkout still in progress
+    const { rows: [checkout] } = await db.query(`
+      SELECT id FROM orders
+      WHERE product_id = $1 AND order_type = 'buy_now' AND status = 'pending' AND created_at > $2
+      LIMIT 1
+    `, [product.id, dayjs().subtract(30, 'minute').toISOString()]);
+    if (checkout) return 'A buyer is checking out this item with Buy It Now right now';
+
+    return null;
+  }
+
+  // The accepted offer whose order is still waiting on payment, or null.
+  // Buy It Now checks this too, since that order holds the product.
+  async pendingAcceptedOffer(productId, client = null) {
+    const db = client || { query };
+    const { rows: [accepted] } = await db.query(`
+      SELECT o.id, ord.payment_due_at FROM offers o
+      JOIN orders ord ON ord.id = o.order_id
+      WHERE o.product_id = $1 AND o.status = 'accepted' AND ord.status = 'pending'
+      LIMIT 1
+    `, [productId]);
+    return accepted || null;
+  }
+
+  // A new offer replaces the buyer's earlier open offer on the same product
+  async submit(productId, userId, { amount, message } = {}) {
+    const offerAmount = this.parseAmount(amount);
+
+    const offer = await transaction(async (client) => {
+      const { rows: [product] } = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [productId]);
+      if (!product) throw new OfferError('Product not found', 404);
+
+      const reason = await this.unavailableReason(product, client);
+      if (reason) throw new OfferError(reason);
+      if (product.buy_it_now_price > 0 && offerAmount >= product.buy_it_now_price) {
+        throw new OfferError(`That's at or above the Buy It Now price of $${product.buy_it_now_price}. Use Buy It Now instead.`);
+      }
+
+      await client.query(`
+        UPDATE offers SET status = 'withdrawn', responded_at = $1
+        WHERE product_id = $2 AND user_id = $3 AND status = ANY($4)
+      `, [dayjs().toISOString(), productId, userId, OPEN_STATUSES]);
+
+      const { rows: [created] } = await client.query(`
+        INSERT INTO offers (product_id, user_id, amount, message, status, created_at)
+        VALUES ($1, $2, $3, $4, 'pending', $5) RETURNING *
+      `, [productId, userId, offerAmount, (message || '').trim() || null, dayjs().toISOString()]);
+      return created;
+    });
+
+    this.logger.info('Offer submitted', { offerId: offer.id, productId, userId, amount: offerAmount });
+    return offer;
+  }
+
+  // Accept an offer: at the offered amount when the admin accepts it, or at
+  // the counter amount when the buyer accepts a counter. Opens a pending
+  // order for the buyer and declines every other open offer on the product.
+  async accept(offerId, { byUserId = null } = {}) {
+    const outcome = await transaction(async (client) => {
+      const { rows: [offer] } = await client.query('SELECT * FROM offers WHERE id = $1 FOR UPDATE', [offerId]);
+      if (!offer) throw new OfferError('Offer not found', 404);
+
+      const buyerAccepting = byUserId !== null;
+      if (buyerAccepting && offer.user_id !== byUserId) throw new OfferError('Offer not found', 404);
+      if (offer.status !== (buyerAccepting ? 'countered' : 'pending')) {
+        throw new OfferError(`This offer is ${offer.status} and can no longer be accepted`);
+      }
+
+      const { rows: [product] } = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [offer.product_id]);
+      const reason = await this.unavailableReason(product, client);
+      if (reason) throw new OfferError(reason);
+
+      const now = dayjs().toISOString();
+      const paymentDueAt = dayjs().add(this.paymentWindowHours, 'hour');
+      const price = buyerAccepting ? offer.counter_amount : offer.amount;
+      const { rows: [order] } = await client.query(`
+        INSERT INTO orders (product_id, user_id, amount, order_type, status, created_at, payment_due_at)
+        VALUES ($1, $2, $3, 'offer', 'pending', $4, $5) RETURNING id
+      `, [offer.product_id, offer.user_id, price, now, paymentDueAt.toISOString()]);
+
+      await client.query(`
+        UPDATE offers SET status = 'accepted', order_id = $1, responded_at = $2 WHERE id = $3
+      `, [order.id, now, offerId]);
+
+      const { rows: declined } = await client.query(`
+        UPDATE offers SET status = 'declined', responded_at = $1
+        WHERE product_id = $2 AND id <> $3 AND status = ANY($4)
+        RETURNING id, user_id
+      `, [now, offer.product_id, offerId, OPEN_STATUSES]);
+
+      return { offer, product, price, orderId: order.id, paymentDueAt, declined };
+    });
+
+    this.logger.info('Offer accepted', {
+      offerId,
+      acceptedBy: byUserId ? 'buyer' : 'admin',
+      amount: outcome.price,
+      orderId: outcome.orderId,
+      declinedOffers: outcome.declined.length
+    });
+
+    const productName = `${outcome.product.brand} ${outcome.product.name}`;
+    if (byUserId === null) {
+      await this.notify(outcome.offer.user_id, {
+        type: 'offer_accepted',
+        title: 'Your offer was accepted!',
+        message: `Your offer of $${outcome.price} on ${productName} was accepted. Complete checkout by ${outcome.paymentDueAt.format('MMM D, YYYY h:mm A')} to claim it.`,
+        link: `/product/${outcome.product.id}`
+      });
+    }
+    for (const other of outcome.declined) {
+      await this.notify(other.user_id, {
+        type: 'offer_declined',
+        title: 'Your offer was declined',
+        message: `${productName} has been sold to another buyer.`,
+        link: `/product/${outcome.product.id}`
+      });
+    }
+
+    return outcome;
+  }
+
+  // Admin declines a pending offer, or the buyer declines a counter
+  async decline(offerId, { byUserId = null } = {}) {
+    const buyerDeclining = byUserId !== null;
+    const { rows: [offer] } = await query(`
+      UPDATE offers SET status = 'declined', responded_at = $1
+      WHERE id = $2 AND status = $3 AND ($4::integer IS NULL OR user_id = $4)
+      RETURNING *
+    `, [dayjs().toISOString(), offerId, buyerDeclining ? 'countered' : 'pending', byUserId]);
+    if (!offer) throw new OfferError('This offer can no longer be declined');
+
+    this.logger.info('Offer declined', { offerId, declinedBy: buyerDeclining ? 'buyer' : 'admin' });
+
+    if (!buyerDeclining) {
+      const product = await prepare('SELECT brand, name FROM products WHERE id = $1').get([offer.product_id]);
+      await this.notify(offer.user_id, {
+        type: 'offer_declined',
+        title: 'Your offer was declined',
+        message: `Your offer of $${offer.amount} on ${product.brand} ${product.name} was declined. You're welcome to make another.`,
+        link: `/product/${offer.product_id}`
+      });
+    }
+    return offer;
+  }
+
+  // Admin answers a pending offer with a different price for the buyer to accept
+  async counter(offerId, amount) {
+    const counterAmount = this.parseAmount(amount);
+    const offer = await transaction(async (client) => {
+      const { rows: [pending] } = await client.query('SELECT * FROM offers WHERE id = $1 FOR UPDATE', [offerId]);
+      if (!pending || pending.status !== 'pending' || pending.amount >= counterAmount) {
+        throw new OfferError('Only pending offers can be countered, and the counter must be above the offer');
+      }
+
+      const { rows: [product] } = await client.query('SELECT * FROM products WHERE id = $1 FOR UPDATE', [pending.product_id]);
+      const reason = await this.unavailableReason(product, client);
+      if (reason) throw new OfferError(reason);
+
+      const { rows: [countered] } = await client.query(`
+        UPDATE offers SET status = 'countered', counter_amount = $1, responded_at = $2
+        WHERE id = $3
+        RETURNING *
+      `, [counterAmount, dayjs().toISOString(), offerId]);
+      return countered;
+    });
+
+    this.logger.info('Offer countered', { offerId, amount: offer.amount, counterAmount });
+
+    const product = await prepare('SELECT brand, name FROM products WHERE id = $1').get([offer.product_id]);
+    await this.notify(offer.user_id, {
+      type: 'offer_countered',
+      title: 'You received a counter-offer',
+      message: `We can't do $${offer.amount} on ${product.brand} ${product.name}, but we can do $${counterAmount}. Accept or decline it on the product page.`,
+      link: `/product/${offer.product_id}`
+    });
+    return offer;
+  }
+
+  // A buyer's offers on one product, newest first
+  async forUser(productId, userId) {
+    return prepare(`
+      SELECT o.*, ord.status as order_status, ord.payment_due_at
+      FROM offers o
+      LEFT JOIN orders ord ON ord.id = o.order_id
+      WHERE o.product_id = $1 AND o.user_id = $2
+      ORDER BY o.created_at DESC
+    `).all([productId, userId]);
+  }
+
+  // Offers waiting on the admin or the buyer, for the admin products page
+  async openOffers() {
+    return prepare(`
+      SELECT o.*, u.email, p.brand, p.name as product_name, p.buy_it_now_price
+      FROM offers o
+      JOIN users u ON u.id = o.user_id
+      JOIN products p ON p.id = o.product_id
+      WHERE o.status = ANY($1)
+      ORDER BY o.status = 'pending' DESC, o.created_at ASC
+    `).all([OPEN_STATUSES]);
+  }
+
+  async notify(userId, notification) {
+    if (!this.notificationService) return;
+    try {
+      await this.notificationService.notify(userId, notification);
+    } catch (error) {
+      this.logger.error('Failed to send offer notification', { userId, type: notification.type, error: error.message });
+    }
+  }
+}
+
+export default OfferService;
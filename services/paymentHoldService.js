@@ -0,0 +1,283 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare } from '../database.js';
+import { BidError } from './biddingService.js';
+
+// Stripe authorization holds for bids on high-value auctions. A bidder's card
+// is authorized for their maximum bid before the bid is accepted; the hold is
+// cancelled once they are outbid and captured for the final price if they win.
+// Stripe drops uncaptured authorizations after about seven days, so holds on
+// auctions still running are re-authorized before then. A winner whose hold
+// can't be captured falls back to the normal pay-by-deadline order.
+class PaymentHoldService {
+  constructor(logger, stripe, options = {}) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.stripe = stripe;
+    // Runs for an order a captured hold has paid, with the card's billing
+    // details as the shipping address
+    this.onOrderPaid = options.onOrderPaid || null;
+    // Auctions whose product value, starting bid or reserve reaches this many
+    // dollars need holds; 0 turns holds off
+    this.threshold = options.threshold ?? Number(process.env.PREAUTH_HOLD_THRESHOLD || 0);
+    // Holds this many days old are re-authorized while their auction runs
+    this.renewAfterDays = options.renewAfterDays ?? Number(process.env.PREAUTH_HOLD_RENEW_DAYS || 6);
+  }
+
+  enabled() {
+    return !!this.stripe && this.threshold > 0;
+  }
+
+  // Whether bids on an auction need a hold. The auction row must carry the
+  // product's highest_market_price.
+  requiresHold(auction) {
+    if (!this.enabled()) return false;
+    return Math.max(auction.highest_market_price || 0, auction.starting_bid || 0, auction.reserve_price || 0) >= this.threshold;
+  }
+
+  async auctionFor(auctionId) {
+    return prepare(`
+      SELECT a.*, p.highest_market_price
+      FROM auctions a JOIN products p ON p.id = a.product_id
+      WHERE a.id = $1
+    `).get([auctionId]);
+  }
+
+  async cardFor(userId) {
+    const user = await prepare(
+      'SELECT stripe_customer_id, card_payment_method_id, card_brand, card_last4 FROM users WHERE id = $1'
+    ).get([userId]);
+    return user?.card_payment_method_id ? user : null;
+  }
+
+  // Stripe Checkout in setup mode, to save a card without charging it
+  async startCardSetup(user, { successUrl, cancelUrl }) {
+    const account = await prepare('SELECT stripe_customer_id FROM users WHERE id = $1').get([user.id]);
+    let customerId = account?.stripe_customer_id;
+    if (!customerId) {
+      const customer = await this.stripe.customers.create({
+        email: user.email,
+        name: user.name || undefined,
+        metadata: { userId: String(user.id) }
+      });
+      customerId = customer.id;
+      await query('UPDATE users SET stripe_customer_id = $1 WHERE id = $2', [customerId, user.id]);
+    }
+
+    return this.stripe.checkout.sessions.create({
+      mode: 'setup',
+      customer: customerId,
+      payment_method_types: ['card'],
+      billing_address_collection: 'required',
+      success_url: successUrl,
+      cancel_url: cancelUrl
+    });
+  }
+
+  // Store the card saved by a finished setup session as the user's card on file
+  async saveCardFromSetup(userId, sessionId) {
+    const session = await this.stripe.checkout.sessions.retrieve(sessionId, { expand: ['setup_intent.payment_method'] });
+    const account = await prepare('SELECT stripe_customer_id FROM users WHERE id = $1').get([userId]);
+    if (!account || session.customer !== account.stripe_customer_id) throw new BidError('Card setup not found', 404);
+
+    const paymentMethod = session.setup_intent?.payment_method;
+    if (!paymentMethod?.id) throw new BidError('The card was not saved. Please try again.');
+
+    await query(
+      'UPDATE users SET card_payment_method_id = $1, card_brand = $2, card_last4 = $3 WHERE id = $4',
+      [paymentMethod.id, paymentMethod.card?.brand || null, paymentMethod.card?.last4 || null, userId]
+    );
+    this.logger.info('Card saved for bid holds', { userId, brand: paymentMethod.card?.brand });
+  }
+
+  // Make sure the bidder's card is authorized for `maxAmount` before their bid
+  // goes in. Returns the new hold, or null if none was needed (no hold
+  // required, or an existing hold already covers the amount). Throws a
+  // BidError with status 402 when there's no card or the card is declined.
+  async holdForBid(auctionId, user, maxAmount) {
+    const auction = await this.auctionFor(auctionId);
+    if (!auction || !this.requiresHold(auction)) return null;
+
+    // Malformed amounts are left for the bidding engine to reject
+    const amount = Number(maxAmount);
+    if (!Number.isInteger(amount) || amount <= 0) return null;
+
+    const existing = await prepare(`
+      SELECT * FROM bid_holds WHERE auction_id = $1 AND user_id = $2 AND status = 'held'
+      ORDER BY id DESC LIMIT 1
+    `).get([auctionId, user.id]);
+    if (existing && existing.amount >= amount) return null;
+
+    const card = await this.cardFor(user.id);
+    if (!card) {
+      throw new BidError('Bidding on this auction needs a card on file for an authorization hold. Add a card and try again.', 402);
+    }
+
+    const intent = await this.authorize(auctionId, user.id, card, amount);
+    const { rows: [hold] } = await query(`
+      INSERT INTO bid_holds (auction_id, user_id, payment_intent_id, amount, status, created_at)
+      VALUES ($1, $2, $3, $4, 'held', $5) RETURNING *
+    `, [auctionId, user.id, intent.id, amount, dayjs().toISOString()]);
+
+    this.logger.info('Bid hold placed', { auctionId, userId: user.id, amount, paymentIntentId: intent.id });
+    return hold;
+  }
+
+  // Authorize the card for `amount` without charging it. Throws a BidError
+  // with status 402 when the card is declined.
+  async authorize(auctionId, userId, card, amount) {
+    const connected = await prepare("SELECT value FROM settings WHERE key = 'stripe_connected_account_id'").get();
+    let intent;
+    try {
+      intent = await this.stripe.paymentIntents.create({
+        amount: amount * 100,
+        currency: 'usd',
+        customer: card.stripe_customer_id,
+        payment_method: card.card_payment_method_id,
+        capture_method: 'manual',
+        confirm: true,
+        off_session: true,
+        description: `Bid hold for auction #${auctionId}`,
+        metadata: { auctionId: String(auctionId), userId: String(userId) },
+        ...(connected?.value ? { transfer_data: { destination: connected.value } } : {})
+      });
+    } catch (error) {
+      this.logger.warn('Bid hold declined', { auctionId, userId, amount, error: error.message });
+      throw new BidError(`Your card couldn't be authorized for $${amount}. Update your card and try again.`, 402);
+    }
+
+    if (intent.status !== 'requires_capture') {
+      await this.cancelIntent(intent.id);
+      throw new BidError(`Your card couldn't be authorized for $${amount}. Update your card and try again.`, 402);
+    }
+    return intent;
+  }
+
+  // Re-authorize holds on open auctions before Stripe lets them lapse; the new
+  // hold replaces the old one. A hold that can't be renewed is tried once and
+  // left to lapse. Returns those holds so their bidders can be told.
+  async renewExpiring() {
+    if (!this.enabled()) return [];
+    const due = await prepare(`
+      SELECT h.* FROM bid_holds h JOIN auctions a ON a.id = h.auction_id
+      WHERE h.status = 'held' AND a.status = 'open' AND h.renew_failed_at IS NULL AND h.created_at <= $1
+      ORDER BY h.id
+    `).all([dayjs().subtract(this.renewAfterDays, 'day').toISOString()]);
+
+    const failed = [];
+    for (const hold of due) {
+      try {
+        const card = await this.cardFor(hold.user_id);
+        if (!card) throw new BidError('No card on file', 402);
+        const intent = await this.authorize(hold.auction_id, hold.user_id, card, hold.amount);
+        await query(`
+          INSERT INTO bid_holds (auction_id, user_id, payment_intent_id, amount, status, created_at)
+          VALUES ($1, $2, $3, $4, 'held', $5)
+        `, [hold.auction_id, hold.user_id, intent.id, hold.amount, dayjs().toISOString()]);
+        await this.release(hold, 'renewed');
+      } catch (error) {
+        if (!(error instanceof BidError)) throw error;
+        await query('UPDATE bid_holds SET renew_failed_at = $1 WHERE id = $2', [dayjs().toISOString(), hold.id]);
+        this.logger.warn('Bid hold not renewed', { holdId: hold.id, auctionId: hold.auction_id, userId: hold.user_id, error: error.message });
+        failed.push(hold);
+      }
+    }
+    return failed;
+  }
+
+  // After a bid: a bidder keeps only their newest hold, and on open-bidding
+  // auctions only the leader keeps one at all. Sealed bids stay held until close.
+  async settleAfterBid(auctionId, leaderId, { sealed = false } = {}) {
+    const holds = await prepare(`
+      SELECT * FROM bid_holds WHERE auction_id = $1 AND status = 'held' ORDER BY id DESC
+    `).all([auctionId]);
+
+    const kept = new Set();
+    for (const hold of holds) {
+      const outbid = !sealed && hold.user_id !== leaderId;
+      if (outbid || kept.has(hold.user_id)) {
+        await this.release(hold, outbid ? 'outbid' : 'replaced');
+      } else {
+        kept.add(hold.user_id);
+      }
+    }
+  }
+
+  // A bidder whose bids were removed no longer needs a hold
+  async releaseFor(auctionId, userId, reason) {
+    const holds = await prepare(
+      "SELECT * FROM bid_holds WHERE auction_id = $1 AND user_id = $2 AND status = 'held'"
+    ).all([auctionId, userId]);
+    for (const hold of holds) await this.release(hold, reason);
+  }
+
+  async releaseAll(auctionId, reason) {
+    const holds = await prepare("SELECT * FROM bid_holds WHERE auction_id = $1 AND status = 'held'").all([auctionId]);
+    for (const hold of holds) await this.release(hold, reason);
+  }
+
+  async release(hold, reason) {
+    await this.cancelIntent(hold.payment_intent_id);
+    await query("UPDATE bid_holds SET status = 'released', released_at = $1 WHERE id = $2", [dayjs().toISOString(), hold.id]);
+    this.logger.info('Bid hold released', { holdId: hold.id, auctionId: hold.auction_id, userId: hold.user_id, reason });
+  }
+
+  // A hold that has lapsed on Stripe's side can't be cancelled; it's gone either way
+  async cancelIntent(paymentIntentId) {
+    try {
+      await this.stripe.paymentIntents.cancel(paymentIntentId);
+    } catch (error) {
+      this.logger.warn('Could not cancel bid hold', { paymentIntentId, error: error.message });
+    }
+  }
+
+  // Charge the winner's hold for the final price and mark their order paid.
+  // Every other hold on the auction is released. Returns 'captured' if the
+  // winner was charged, 'failed' if their hold couldn't be charged, or null if
+  // they had no hold covering the price. Either way but the first, the winner
+  // still needs to pay through checkout.
+  async captureForWin({ auction, winnerId, orderId, amount }) {
+    const hold = await prepare(`
+      SELECT * FROM bid_holds WHERE auction_id = $1 AND user_id = $2 AND status = 'held'
+      ORDER BY id DESC LIMIT 1
+    `).get([auction.id, winnerId]);
+
+    let intent = null;
+    if (hold && hold.amount >= amount) {
+      try {
+        intent = await this.stripe.paymentIntents.capture(hold.payment_intent_id, { amount_to_capture: amount * 100 });
+      } catch (error) {
+        this.logger.error('Bid hold capture failed; winner pays through checkout', { holdId: hold.id, auctionId: auction.id, orderId, error: error.message });
+        await query("UPDATE bid_holds SET status = 'failed', released_at = $1 WHERE id = $2", [dayjs().toISOString(), hold.id]);
+        await this.releaseAll(auction.id, 'auction closed');
+        return 'failed';
+      }
+    }
+
+    if (intent) {
+      await query("UPDATE bid_holds SET status = 'captured', captured_at = $1, order_id = $2 WHERE id = $3",
+        [dayjs().toISOString(), orderId, hold.id]);
+      const { rows: [order] } = await query(`
+        UPDATE orders SET status = 'paid', payment_intent_id = $1, payment_gateway = 'stripe'
+        WHERE id = $2 RETURNING *
+      `, [intent.id, orderId]);
+      let billing = null;
+      try {
+        billing = (await this.stripe.paymentMethods.retrieve(intent.payment_method))?.billing_details || null;
+      } catch (error) {
+        this.logger.warn('Could not copy billing address for shipping', { orderId, error: error.message });
+      }
+      await this.onOrderPaid?.(order, billing?.address?.line1 ? billing : null);
+      this.logger.info('Bid hold captured', { holdId: hold.id, auctionId: auction.id, userId: winnerId, amount, orderId });
+    }
+
+    await this.releaseAll(auction.id, 'auction closed');
+    return intent ? 'captured' : null;
+  }
+}
+
+export default PaymentHoldService;
@@ -0,0 +1,361 @@
+import crypto from 'crypto';
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare, transaction } from '../database.js';
+
+// Error raised when a raffle can't be created, entered or paid for (carries an HTTP status)
+export class RaffleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RaffleError';
+    this.status = status;
+  }
+}
+
+// Draw score for one entry: HMAC-SHA256 of "<raffleId>:<entryId>" keyed with
+// the raffle's seed. Lowest scores win. Anyone holding the revealed seed and
+// the entry list can recompute the result.
+export function drawScore(seed, raffleId, entryId) {
+  return crypto.createHmac('sha256', seed).update(`${raffleId}:${entryId}`).digest('hex');
+}
+
+export function hashSeed(seed) {
+  return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+class RaffleService {
+  constructor(logger, notificationService, options = {}) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.notificationService = notificationService;
+    this.checkoutHours = options.checkoutHours || Number(process.env.RAFFLE_CHECKOUT_HOURS || 24);
+    this.variantService = options.variantService || null;
+  }
+
+  // Create a raffle with a fresh secret seed; only its hash is shown until the
+  // draw. Every winner gets their own pair, so there can't be more winners
+  // than pairs of the raffled size in stock.
+  async create({ productId, variantId, price, winnerCount, start, end, status }) {
+    const rafflePrice = Number(price);
+    if (!Number.isInteger(rafflePrice) || rafflePrice <= 0) throw new RaffleError('Price must be a whole dollar amount');
+    const winners = Number(winnerCount || 1);
+    if (!Number.isInteger(winners) || winners < 1) throw new RaffleError('There must be at least one winner');
+
+    const seed = crypto.randomBytes(32).toString('hex');
+    const raffle = await transaction(async (client) => {
+      const { rows: [product] } = await client.query('SELECT id, status FROM products WHERE id = $1 FOR UPDATE', [productId]);
+      if (!product) throw new RaffleError('Product not found', 404);
+      if (product.status === 'sold') throw new RaffleError('This product has already sold');
+
+      const variant = this.variantService ? await this.variantService.resolve(productId, variantId, client) : null;
+      const pairs = variant ? variant.quantity : 1;
+      if (winners > pairs) {
+        throw new RaffleError(`Only ${pairs} pair${pairs === 1 ? '' : 's'}${variant ? ` in size ${variant.size}` : ''} in stock, so there can be at most ${pairs} winner${pairs === 1 ? '' : 's'}`);
+      }
+
+      const reason = await this.conflictReason(productId, client);
+      if (reason) throw new RaffleError(reason);
+
+      const { rows: [created] } = await client.query(`
+        INSERT INTO raffles (product_id, variant_id, price, winner_count, start_time, end_time, status, checkout_hours, seed, seed_hash, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id, seed_hash
+      `, [productId, variant?.id ?? null, rafflePrice, winners, start.toISOString(), end.toISOString(), status, this.checkoutHours, seed, hashSeed(seed), dayjs().toISOString()]);
+      return created;
+    });
+
+    this.logger.info('Raffle created', { raffleId: raffle.id, productId, variantId: variantId || null, price: rafflePrice, winners, seedHash: raffle.seed_hash });
+    return raffle;
+  }
+
+  // Raffle still selling one of these products: taking entries, or drawn with
+  // a win waiting on payment. Buy It Now, auctions and offers check this first.
+  async activeRaffle(productIds, client = null) {
+    const db = client || { query };
+    const { rows: [raffle] } = await db.query(`
+      SELECT r.id, r.product_id, r.status FROM raffles r
+      WHERE r.product_id = ANY($1) AND (
+        r.status IN ('scheduled', 'open')
+        OR EXISTS (
+          SELECT 1 FROM raffle_entries e JOIN orders o ON o.id = e.order_id
+          WHERE e.raffle_id = r.id AND o.status = 'pending'
+        )
+      )
+      LIMIT 1
+    `, [productIds]);
+    return raffle || null;
+  }
+
+  // Reason the product can't be raffled because something else could sell it
+  // first, or null
+  async conflictReason(productId, client = null) {
+    const db = client || { query };
+    if (await this.activeRaffle([productId], client)) return 'This product already has an active raffle';
+
+    const { rows: [auction] } = await db.query(`
+      SELECT id, product_id FROM auctions
+      WHERE status IN ('open', 'scheduled')
+        AND (product_id = $1 OR id IN (SELECT auction_id FROM auction_lot_items WHERE product_id = $1))
+      LIMIT 1
+    `, [productId]);
+    if (auction) {
+      return auction.product_id === productId ? `This product is up for auction (#${auction.id})` : `This product is in lot auction #${auction.id}`;
+    }
+
+    // The same window Buy It Now treats as a checkout still in progress
+    const { rows: [checkout] } = await db.query(`
+      SELECT id FROM orders
+      WHERE product_id = $1 AND order_type = 'buy_now' AND status = 'pending' AND created_at > $2
+      LIMIT 1
+    `, [productId, dayjs().subtract(30, 'minute').toISOString()]);
+    if (checkout) return 'A buyer is checking out this product with Buy It Now right now';
+
+    const { rows: [offer] } = await db.query(`
+      SELECT o.status FROM offers o
+      LEFT JOIN orders ord ON ord.id = o.order_id
+      WHERE o.product_id = $1
+        AND (o.status IN ('pending', 'countered') OR (o.status = 'accepted' AND ord.status = 'pending'))
+      LIMIT 1
+    `, [productId]);
+    if (offer) {
+      return offer.status === 'accepted'
+        ? 'An accepted offer on this product is awaiting payment'
+        : 'This product has open offers; answer them first';
+    }
+
+    return null;
+  }
+
+  async enter(raffleId, userId) {
+    const raffle = await prepare('SELECT * FROM raffles WHERE id = $1').get([raffleId]);
+    if (!raffle) throw new RaffleError('Raffle not found', 404);
+
+    const now = dayjs();
+    if (raffle.status === 'scheduled' || now.isBefore(dayjs(raffle.start_time))) {
+      throw new RaffleError('Entries are not open yet');
+    }
+    if (raffle.status !== 'open' || !now.isBefore(dayjs(raffle.end_time))) {
+      throw new RaffleError('Entries for this raffle have closed');
+    }
+
+    const result = await query(`
+      INSERT INTO raffle_entries (raffle_id, user_id, created_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (raffle_id, user_id) DO NOTHING
+    `, [raffleId, userId, now.toISOString()]);
+    if (result.rowCount === 0) throw new RaffleError("You're already entered in this raffle");
+
+    this.logger.info('Raffle entry', { raffleId, userId });
+  }
+
+  // Open scheduled raffles whose entry window has started
+  async openScheduled() {
+    const opened = await prepare(`
+      UPDATE raffles SET status = 'open'
+      WHERE status = 'scheduled' AND start_time <= $1
+      RETURNING id
+    `).all([dayjs().toISOString()]);
+
+    for (const { id } of opened) {
+      this.logger.info('Raffle opened', { raffleId: id });
+    }
+    return opened.length;
+  }
+
+  async drawDue() {
+    const due = await prepare(`
+      SELECT id FROM raffles WHERE status = 'open' AND end_time <= $1 ORDER BY end_time ASC
+    `).all([dayjs().toISOString()]);
+
+    for (const { id } of due) {
+      try {
+        await this.draw(id);
+      } catch (error) {
+        this.logger.error('Failed to draw raffle', { raffleId: id, error: error.message });
+      }
+    }
+  }
+
+  // Score every entry, pick the lowest scores as winners and open a pending
+  // order with a checkout deadline for each. Returns null if already drawn.
+  async draw(raffleId) {
+    const outcome = await transaction(async (client) => {
+      const { rows: [raffle] } = await client.query('SELECT * FROM raffles WHERE id = $1 FOR UPDATE', [raffleId]);
+      if (!raffle || raffle.status !== 'open') return null;
+
+      const { rows: entries } = await client.query(
+        'SELECT id, user_id FROM raffle_entries WHERE raffle_id = $1 ORDER BY id ASC',
+        [raffleId]
+      );
+      const ranked = entries
+        .map(entry => ({ ...entry, score: drawScore(raffle.seed, raffle.id, entry.id) }))
+        .sort((a, b) => (a.score < b.score ? -1 : a.score > b.score ? 1 : 0));
+
+      const now = dayjs();
+      const paymentDueAt = now.add(raffle.checkout_hours, 'hour');
+      const winners = [];
+      for (const [index, entry] of ranked.entries()) {
+        const isWinner = index < raffle.winner_count;
+        let orderId = null;
+        if (isWinner) {
+          const { rows: [order] } = await client.query(`
+            INSERT INTO orders (product_id, variant_id, user_id, amount, order_type, status, payment_due_at, created_at)
+            VALUES ($1, $2, $3, $4, 'raffle', 'pending', $5, $6) RETURNING id
+          `, [raffle.product_id, raffle.variant_id, entry.user_id, raffle.price, paymentDueAt.toISOString(), now.toISOString()]);
+          orderId = order.id;
+          winners.push({ userId: entry.user_id, orderId });
+        }
+        await client.query(`
+          UPDATE raffle_entries SET draw_score = $1, draw_rank = $2, is_winner = $3, order_id = $4 WHERE id = $5
+        `, [entry.score, index + 1, isWinner ? 1 : 0, orderId, entry.id]);
+      }
+
+      await client.query("UPDATE raffles SET status = 'drawn', drawn_at = $1 WHERE id = $2", [now.toISOString(), raffleId]);
+      return { raffle, winners, losers: ranked.slice(raffle.winner_count).map(e => e.user_id), paymentDueAt, entryCount: ranked.length };
+    });
+
+    if (!outcome) return null;
+
+    this.logger.info('Raffle drawn', {
+      raffleId,
+      entries: outcome.entryCount,
+      winners: outcome.winners.map(w => w.userId),
+      seed: outcome.raffle.seed
+    });
+
+    if (!this.notificationService) return outcome;
+
+    const product = await prepare('SELECT brand, name FROM products WHERE id = $1').get([outcome.raffle.product_id]);
+    const productName = product ? `${product.brand} ${product.name}` : 'the raffle item';
+    for (const winner of outcome.winners) {
+      await this.notificationService.notify(winner.userId, {
+        type: 'raffle_won',
+        title: `You won the ${productName} raffle!`,
+        message: `Claim your pair for $${outcome.raffle.price} by ${outcome.paymentDueAt.format('MMM D, YYYY h:mm A')}, or it passes to the next entrant in the draw.`,
+        link: `/raffles/${raffleId}`
+      });
+    }
+    for (const userId of outcome.losers) {
+      await this.notificationService.notify(userId, {
+        type: 'raffle_lost',
+        title: `Raffle results: ${productName}`,
+        message: "You weren't drawn this time. Thanks for entering!",
+        link: `/raffles/${raffleId}`
+      });
+    }
+
+    return outcome;
+  }
+
+  // Raffle wins not paid for by the deadline lapse, and each lapsed pair
+  // passes to the next entrant in draw order
+  async expireUnclaimed() {
+    const expired = await prepare(`
+      UPDATE orders SET status = 'expired'
+      WHERE order_type = 'raffle' AND status = 'pending' AND payment_due_at <= $1
+      RETURNING id, user_id
+    `).all([dayjs().toISOString()]);
+
+    for (const order of expired) {
+      this.logger.info('Raffle win expired unpaid', { orderId: order.id, userId: order.user_id });
+      try {
+        await this.passToNextEntrant(order.id);
+      } catch (error) {
+        this.logger.error('Failed to pass raffle win on', { orderId: order.id, error: error.message });
+      }
+    }
+    return expired.length;
+  }
+
+  // Make the best-ranked entrant who hasn't won yet a winner in place of a
+  // lapsed order, with a fresh checkout window. Returns null when nobody is left.
+  async passToNextEntrant(lapsedOrderId) {
+    const outcome = await transaction(async (client) => {
+      const { rows: [raffle] } = await client.query(`
+        SELECT r.* FROM raffles r
+        JOIN raffle_entries e ON e.raffle_id = r.id
+        WHERE e.order_id = $1
+        FOR UPDATE OF r
+      `, [lapsedOrderId]);
+      if (!raffle) return null;
+
+      const { rows: [product] } = await client.query('SELECT brand, name, status FROM products WHERE id = $1', [raffle.product_id]);
+      if (!product || product.status === 'sold') return null;
+
+      const { rows: [entry] } = await client.query(`
+        SELECT id, user_id FROM raffle_entries
+        WHERE raffle_id = $1 AND is_winner = 0 AND draw_rank IS NOT NULL
+        ORDER BY draw_rank ASC
+        LIMIT 1
+      `, [raffle.id]);
+      if (!entry) return null;
+
+      const now = dayjs();
+      const paymentDueAt = now.add(raffle.checkout_hours, 'hour');
+      const { rows: [order] } = await client.query(`
+        INSERT INTO orders (product_id, variant_id, user_id, amount, order_type, status, payment_due_at, created_at)
+        VALUES ($1, $2, $3, $4, 'raffle', 'pending', $5, $6) RETURNING id
+      `, [raffle.product_id, raffle.variant_id, entry.user_id, raffle.price, paymentDueAt.toISOString(), now.toISOString()]);
+      await client.query('UPDATE raffle_entries SET is_winner = 1, order_id = $1 WHERE id = $2', [order.id, entry.id]);
+
+      return { raffle, product, userId: entry.user_id, orderId: order.id, paymentDueAt };
+    });
+
+    if (!outcome) {
+      this.logger.info('Lapsed raffle win not passed on', { orderId: lapsedOrderId });
+      return null;
+    }
+
+    this.logger.info('Raffle win passed to next entrant', {
+      raffleId: outcome.raffle.id,
+      lapsedOrderId,
+      orderId: outcome.orderId,
+      userId: outcome.userId
+    });
+
+    if (this.notificationService) {
+      await this.notificationService.notify(outcome.userId, {
+        type: 'raffle_won',
+        title: `You won the ${outcome.product.brand} ${outcome.product.name} raffle!`,
+        message: `A winner didn't check out in time, so their pair passes to you. Claim it for $${outcome.raffle.price} by ${outcome.paymentDueAt.format('MMM D, YYYY h:mm A')}, or it passes to the next entrant in the draw.`,
+        link: `/raffles/${outcome.raffle.id}`
+      });
+    }
+    return outcome;
+  }
+
+  // Winner's pending order for a raffle, checked against its deadline
+  async claimableOrder(raffleId, userId) {
+    const entry = await prepare(`
+      SELECT o.*
+      FROM raffle_entries e
+      JOIN orders o ON o.id = e.order_id
+      WHERE e.raffle_id = $1 AND e.user_id = $2 AND e.is_winner = 1
+    `).get([raffleId, userId]);
+
+    if (!entry) throw new RaffleError('No raffle win to pay for', 404);
+    if (entry.status === 'paid') throw new RaffleError('This raffle win has already been paid for');
+    if (entry.status !== 'pending' || dayjs(entry.payment_due_at).isBefore(dayjs())) {
+      throw new RaffleError('The checkout window for this raffle win has closed');
+    }
+    return entry;
+  }
+
+  // Raffles open for entry or starting soon, for the home page
+  async listActive() {
+    return prepare(`
+      SELECT r.id, r.product_id, r.price, r.winner_count, r.start_time, r.end_time, r.status,
+        p.name as product_name, p.brand, p.image_url,
+        (SELECT COUNT(*) FROM raffle_entries e WHERE e.raffle_id = r.id)::integer as entry_count
+      FROM raffles r
+      JOIN products p ON p.id = r.product_id
+      WHERE r.status IN ('open', 'scheduled')
+      ORDER BY r.status = 'open' DESC, r.end_time ASC
+    `).all();
+  }
+}
+
+export default RaffleService;
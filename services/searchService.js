@@ -0,0 +1,361 @@
+import winston from 'winston';
+import { query } from '../database.js';
+
+export const SEARCH_PAGE_SIZE = 24;
+
+// Suggestions start at this many typed characters
+const SUGGEST_MIN_LENGTH = 2;
+const SUGGEST_BRAND_LIMIT = 3;
+const SUGGEST_PRODUCT_LIMIT = 6;
+
+// What suggestions match against; idx_products_suggest_trgm indexes this expression
+const SUGGEST_DOCUMENT = `(brand || ' ' || name || ' ' || COALESCE(sku, ''))`;
+
+// Ranking within a suggestion tier: trigram word similarity when pg_trgm is
+// installed, otherwise how early in the text the typed term appears
+const SUGGEST_RANK = {
+  fuzzy: {
+    brand: `MAX(GREATEST(word_similarity($1, b.name), word_similarity($1, COALESCE(al.alias, '')))) DESC`,
+    product: `word_similarity($1, ${SUGGEST_DOCUMENT}) DESC`
+  },
+  plain: {
+    brand: 'MIN(LEAST(NULLIF(strpos(lower(b.name), lower($1)), 0), NULLIF(strpos(lower(al.alias), lower($1)), 0))) ASC NULLS LAST',
+    product: `strpos(lower(${SUGGEST_DOCUMENT}), lower($1)) ASC`
+  }
+};
+
+export const SEARCH_SORTS = {
+  relevance: 'Best match',
+  ending: 'Ending soonest',
+  price_asc: 'Price: low to high',
+  price_desc: 'Price: high to low',
+  newest: 'Newest'
+};
+
+// Price facet buckets, in whole dollars (max inclusive)
+export const PRICE_RANGES = [
+  { label: 'Under $100', min: null, max: 99 },
+  { label: '$100 - $249', min: 100, max: 249 },
+  { label: '$250 - $499', min: 250, max: 499 },
+  { label: '$500 and up', min: 500, max: null }
+];
+
+// Everything a shopper can buy right now: products that aren't sold and
+// either have an open auction (the one ending soonest, when sizes run
+// several) or a Buy It Now price, the cheapest size in stock.
+const LISTINGS = `
+  SELECT p.id, p.brand, p.name, p.sku, p.image_url, p.created_at, p.search_vector,
+    p.condition, p.condition_rating, p.box_condition, p.auth_status,
+    a.id as auction_id, a.end_time, a.auction_type,
+    COALESCE(a.current_bid, a.starting_bid) as bid_price,
+    CASE WHEN EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+      THEN (
+        SELECT MIN(COALESCE(v.price, NULLIF(p.buy_it_now_price, 0))) FROM product_variants v
+        WHERE v.product_id = p.id AND v.quantity > 0 AND v.is_available = 1
+      )
+      ELSE NULLIF(p.buy_it_now_price, 0)
+    END as buy_now_price
+  FROM products p
+  LEFT JOIN LATERAL (
+    SELECT * FROM auctions WHERE product_id = p.id AND status = 'open' ORDER BY end_time LIMIT 1
+  ) a ON true
+  WHERE COALESCE(p.status, 'available') <> 'sold'
+`;
+
+// Listings with `price`: the current bid for auctions, otherwise Buy It Now
+const LISTING_ROWS = `(SELECT x.*, COALESCE(x.bid_price, x.buy_now_price) as price FROM (${LISTINGS}) x) l`;
+
+const ORDER_BY = {
+  relevance: 'rank DESC, l.end_time ASC NULLS LAST, l.id DESC',
+  ending: 'l.end_time ASC NULLS LAST, l.id DESC',
+  price_asc: 'l.price ASC NULLS LAST, l.id DESC',
+  price_desc: 'l.price DESC NULLS LAST, l.id DESC',
+  newest: 'l.id DESC'
+};
+
+// Repeated query-string values (?brand=Nike&brand=Jordan) as a clean list
+function list(value) {
+  return [].concat(value || []).map(v => String(v).trim()).filter(Boolean);
+}
+
+function wholeDollars(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+}
+
+// Numeric sizes in numeric order (9, 9.5, 10), then the rest alphabetically
+function compareSizes(a, b) {
+  const x = Number(a);
+  const y = Number(b);
+  if (!Number.isNaN(x) && !Number.isNaN(y)) return x - y;
+  if (!Number.isNaN(x)) return -1;
+  if (!Number.isNaN(y)) return 1;
+  return a.localeCompare(b);
+}
+
+// The /search URL for the current parameters with `changes` applied.
+// Changing anything but the page goes back to page 1.
+export function searchUrl(params, changes = {}) {
+  const next = { page: 1, ...params, ...changes };
+  if (!('page' in changes)) next.page = 1;
+
+  const qs = new URLSearchParams();
+  if (next.q) qs.set('q', next.q);
+  for (const brand of next.brands) qs.append('brand', brand);
+  for (const size of next.sizes) qs.append('size', size);
+  for (const condition of next.conditions) qs.append('condition', condition);
+  if (next.listing) qs.set('listing', next.listing);
+  if (next.minPrice !== null) qs.set('min_price', next.minPrice);
+  if (next.maxPrice !== null) qs.set('max_price', next.maxPrice);
+  if (next.sort && next.sort !== (next.q ? 'relevance' : 'ending')) qs.set('sort', next.sort);
+  if (next.page > 1) qs.set('page', next.page);
+
+  const queryString = qs.toString();
+  return queryString ? `/search?${queryString}` : '/search';
+}
+
+// A multi-value facet list with `value` added, or removed if it was there
+export function toggleValue(values, value) {
+  return values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+}
+
+// Catalog search for the storefront: Postgres full-text search over brand,
+// name, SKU and description, filtered by facets. Each facet's counts are
+// taken with every other filter applied but not its own, so picking one
+// brand still shows how many results the other brands would give. As on
+// the home page, a brand covers its sub-brands (Nike includes Jordan).
+class SearchService {
+  constructor(logger, options = {}) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.brandService = options.brandService || null;
+  }
+
+  // Search parameters from a query string, with anything invalid dropped
+  parseParams(raw = {}) {
+    const q = String(raw.q || '').trim().slice(0, 200);
+    const sort = SEARCH_SORTS[raw.sort] ? raw.sort : (q ? 'relevance' : 'ending');
+    const page = Math.max(1, Number.parseInt(raw.page, 10) || 1);
+    return {
+      q,
+      brands: list(raw.brand),
+      sizes: list(raw.size),
+      conditions: list(raw.condition),
+      listing: ['auction', 'buy_now'].includes(raw.listing) ? raw.listing : '',
+      minPrice: wholeDollars(raw.min_price),
+      maxPrice: wholeDollars(raw.max_price),
+      sort: sort === 'relevance' && !q ? 'ending' : sort,
+      page
+    };
+  }
+
+  // SQL conditions on the listing row `l` for every active filter except
+  // `skip`, pushing their parameters onto `values`. The search terms, when
+  // there are any, always come first as $1.
+  filters(params, skip, values) {
+    const where = [];
+    const add = value => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+
+    if (params.q) where.push(`l.search_vector @@ websearch_to_tsquery('english', ${add(params.q)})`);
+    if (skip !== 'brand' && params.brands.length > 0) where.push(`l.brand = ANY(${add(params.brandNames || params.brands)})`);
+    if (skip !== 'condition' && params.conditions.length > 0) where.push(`l.condition = ANY(${add(params.conditions)})`);
+    if (skip !== 'size' && params.sizes.length > 0) {
+      where.push(`EXISTS (
+        SELECT 1 FROM product_variants sv
+        WHERE sv.product_id = l.id AND sv.size = ANY(${add(params.sizes)}) AND sv.quantity > 0 AND sv.is_available = 1
+      )`);
+    }
+    if (skip !== 'listing') {
+      if (params.listing === 'auction') where.push('l.auction_id IS NOT NULL');
+      if (params.listing === 'buy_now') where.push('l.buy_now_price IS NOT NULL');
+    }
+    if (skip !== 'price') {
+      if (params.minPrice !== null) where.push(`l.price >= ${add(params.minPrice)}`);
+      if (params.maxPrice !== null) where.push(`l.price <= ${add(params.maxPrice)}`);
+    }
+
+    // Listings nobody can buy (no open auction and no Buy It Now price) never show
+    where.push('(l.auction_id IS NOT NULL OR l.buy_now_price IS NOT NULL)');
+    return where.join(' AND ');
+  }
+
+  // The selected brands with every brand under them
+  async brandFamilies(brands) {
+    if (!this.brandService) return brands;
+    const names = new Set();
+    for (const brand of brands) {
+      for (const name of await this.brandService.familyNames(brand)) names.add(name);
+    }
+    return [...names];
+  }
+
+  async search(raw) {
+    const parsed = this.parseParams(raw);
+    const params = { ...parsed, brandNames: await this.brandFamilies(parsed.brands) };
+
+    const values = [];
+    const where = this.filters(params, null, values);
+    const rank = params.q ? `ts_rank(l.search_vector, websearch_to_tsquery('english', $1))` : '0';
+
+    const { rows: [{ total }] } = await query(`SELECT COUNT(*)::integer as total FROM ${LISTING_ROWS} WHERE ${where}`, values);
+
+    const pages = Math.max(1, Math.ceil(total / SEARCH_PAGE_SIZE));
+    const page = Math.min(params.page, pages);
+    const { rows: results } = await query(`
+      SELECT l.id, l.brand, l.name, l.sku, l.image_url, l.condition, l.condition_rating, l.box_condition, l.auth_status,
+        l.auction_id, l.end_time, l.auction_type, l.bid_price, l.buy_now_price, l.price, ${rank} as rank
+      FROM ${LISTING_ROWS}
+      WHERE ${where}
+      ORDER BY ${ORDER_BY[params.sort]}
+      LIMIT ${SEARCH_PAGE_SIZE} OFFSET ${(page - 1) * SEARCH_PAGE_SIZE}
+    `, values);
+
+    const facets = await this.facets(params);
+    return { params: { ...parsed, page }, results, total, page, pages, facets };
+  }
+
+  // Whether pg_trgm is installed, checked once. Without it suggestions don't
+  // catch typos.
+  async hasTrigrams() {
+    if (this.trigrams === undefined) {
+      const { rows } = await query(`SELECT 1 FROM pg_extension WHERE extname = 'pg_trgm'`);
+      this.trigrams = rows.length > 0;
+    }
+    return this.trigrams;
+  }
+
+  // Type-ahead suggestions for the header search box: catalog brands,
+  // then products. Text matching the start of the brand, name or SKU ranks
+  // first, then the start of any word, then trigram word similarity,
+  // which also catches typos ("jordn"). Without pg_trgm the last tier is
+  // replaced by how early the term appears.
+  async suggest(term) {
+    const q = String(term || '').trim().slice(0, 100);
+    if (q.length < SUGGEST_MIN_LENGTH) return [];
+
+    const fuzzy = await this.hasTrigrams();
+    const rank = fuzzy ? SUGGEST_RANK.fuzzy : SUGGEST_RANK.plain;
+
+    // LIKE wildcards in what was typed match literally
+    const escaped = q.replace(/[\\%_]/g, '\\$&');
+    const values = [q, `%${escaped}%`, `${escaped}%`, `% ${escaped}%`];
+
+    // Brands match on their name or any alias ("air jordan" finds Jordan)
+    const { rows: brands } = await query(`
+      SELECT b.name as brand FROM brands b
+      LEFT JOIN brand_aliases al ON al.brand_id = b.id
+      WHERE (b.name ILIKE $2 OR al.alias ILIKE $2${fuzzy ? ' OR $1 <% b.name OR $1 <% al.alias' : ''})
+        AND EXISTS (SELECT 1 FROM products p WHERE p.brand = b.name AND COALESCE(p.status, 'available') <> 'sold')
+      GROUP BY b.id, b.name
+      ORDER BY bool_or(b.name ILIKE $3 OR al.alias ILIKE $3) DESC,
+        ${rank.brand},
+        b.name
+      LIMIT ${SUGGEST_BRAND_LIMIT}
+    `, values.slice(0, 3));
+
+    const { rows: products } = await query(`
+      SELECT id, brand, name, sku, image_url FROM products
+      WHERE COALESCE(status, 'available') <> 'sold'
+        AND (${SUGGEST_DOCUMENT} ILIKE $2${fuzzy ? ` OR $1 <% ${SUGGEST_DOCUMENT}` : ''})
+      ORDER BY
+        CASE
+          WHEN name ILIKE $3 OR sku ILIKE $3 OR ${SUGGEST_DOCUMENT} ILIKE $3 THEN 0
+          WHEN ' ' || ${SUGGEST_DOCUMENT} ILIKE $4 THEN 1
+          ELSE 2
+        END,
+        ${rank.product},
+        name
+      LIMIT ${SUGGEST_PRODUCT_LIMIT}
+    `, values);
+
+    return [
+      ...brands.map(b => ({
+        type: 'brand',
+        label: b.brand,
+        detail: 'Brand',
+        url: searchUrl({ ...this.parseParams(), brands: [b.brand] })
+      })),
+      ...products.map(p => ({
+        type: 'product',
+        label: `${p.brand} ${p.name}`,
+        detail: p.sku || '',
+        image_url: p.image_url || null,
+        url: `/product/${p.id}`
+      }))
+    ];
+  }
+
+  async facets(params) {
+    const scoped = skip => {
+      const values = [];
+      const where = this.filters(params, skip, values);
+      return { where, values };
+    };
+
+    // A listing counts toward its own brand and every brand above it, so each
+    // count matches what picking that brand returns
+    const brand = scoped('brand');
+    const { rows: brands } = await query(`
+      WITH RECURSIVE lineage AS (
+        SELECT name as brand, name as value, parent_id FROM brands
+        UNION ALL
+        SELECT li.brand, b.name, b.parent_id FROM lineage li JOIN brands b ON b.id = li.parent_id
+      )
+      SELECT COALESCE(li.value, l.brand) as value, COUNT(DISTINCT l.id)::integer as count
+      FROM ${LISTING_ROWS}
+      LEFT JOIN lineage li ON li.brand = l.brand
+      WHERE ${brand.where} GROUP BY 1 ORDER BY count DESC, 1
+    `, brand.values);
+
+    const size = scoped('size');
+    const { rows: sizes } = await query(`
+      SELECT v.size as value, COUNT(DISTINCT l.id)::integer as count FROM ${LISTING_ROWS}
+      JOIN product_variants v ON v.product_id = l.id AND v.quantity > 0 AND v.is_available = 1
+      WHERE ${size.where} GROUP BY v.size
+    `, size.values);
+    sizes.sort((a, b) => compareSizes(a.value, b.value));
+
+    const condition = scoped('condition');
+    const { rows: conditions } = await query(`
+      SELECT l.condition as value, COUNT(*)::integer as count FROM ${LISTING_ROWS}
+      WHERE ${condition.where} AND l.condition IS NOT NULL GROUP BY l.condition ORDER BY count DESC
+    `, condition.values);
+
+    const listing = scoped('listing');
+    const { rows: [listingCounts] } = await query(`
+      SELECT COUNT(*) FILTER (WHERE l.auction_id IS NOT NULL)::integer as auction,
+        COUNT(*) FILTER (WHERE l.buy_now_price IS NOT NULL)::integer as buy_now
+      FROM ${LISTING_ROWS} WHERE ${listing.where}
+    `, listing.values);
+
+    const price = scoped('price');
+    const buckets = PRICE_RANGES.map((range, i) => {
+      const bounds = [
+        range.min !== null ? `l.price >= ${range.min}` : null,
+        range.max !== null ? `l.price <= ${range.max}` : null
+      ].filter(Boolean).join(' AND ');
+      return `COUNT(*) FILTER (WHERE ${bounds})::integer as range_${i}`;
+    });
+    const { rows: [priceCounts] } = await query(`
+      SELECT ${buckets.join(', ')} FROM ${LISTING_ROWS} WHERE ${price.where}
+    `, price.values);
+
+    return {
+      brands,
+      sizes,
+      conditions,
+      listing: listingCounts,
+      prices: PRICE_RANGES.map((range, i) => ({ ...range, count: priceCounts[`range_${i}`] }))
+    };
+  }
+}
+
+export default SearchService;
@@ -0,0 +1,161 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare, transaction } from '../database.js';
+
+// Error raised when an auction can't be offered to another bidder (carries an HTTP status)
+export class SecondChanceError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'SecondChanceError';
+    this.status = status;
+  }
+}
+
+class SecondChanceService {
+  constructor(logger, notificationService, options = {}) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.notificationService = notificationService;
+    this.paymentWindowHours = options.paymentWindowHours || Number(process.env.SECOND_CHANCE_WINDOW_HOURS || 24);
+    this.autoOffer = options.autoOffer ?? process.env.AUCTION_AUTO_SECOND_CHANCE === 'true';
+  }
+
+  // Expire auction and accepted-offer orders whose payment deadline has
+  // passed and flag the buyer. With auto offers on, an auction's item then
+  // goes to the next bidder; an offer's item simply goes back on sale.
+  async expireUnpaidOrders() {
+    const now = dayjs();
+    const { rows: expired } = await query(`
+      UPDATE orders SET status = 'expired'
+      WHERE status = 'pending' AND (auction_id IS NOT NULL OR order_type = 'offer')
+        AND payment_due_at IS NOT NULL AND payment_due_at <= $1
+      RETURNING id, auction_id, product_id, user_id, amount
+    `, [now.toISOString()]);
+
+    for (const order of expired) {
+      await query('UPDATE users SET unpaid_count = COALESCE(unpaid_count, 0) + 1, last_unpaid_at = $1 WHERE id = $2',
+        [now.toISOString(), order.user_id]);
+
+      if (!order.auction_id) {
+        this.logger.warn('Unpaid offer order expired', { orderId: order.id, productId: order.product_id, userId: order.user_id });
+        if (this.notificationService) {
+          await this.notificationService.notify(order.user_id, {
+            type: 'payment_expired',
+            title: 'Payment window closed for your accepted offer',
+            message: `We didn't receive payment of $${order.amount} in time, so your order #${order.id} has been cancelled and noted on your account.`,
+            link: `/product/${order.product_id}`
+          });
+        }
+        continue;
+      }
+
+      this.logger.warn('Unpaid auction order expired', { orderId: order.id, auctionId: order.auction_id, userId: order.user_id });
+
+      if (this.notificationService) {
+        await this.notificationService.notify(order.user_id, {
+          type: 'payment_expired',
+          title: `Payment window closed for auction #${order.auction_id}`,
+          message: `We didn't receive payment of $${order.amount} in time, so your order #${order.id} has been cancelled and noted on your account.`,
+          link: `/auction/${order.auction_id}`
+        });
+      }
+
+      if (!this.autoOffer) continue;
+      try {
+        await this.offer(order.auction_id, { offeredBy: 'scheduler' });
+      } catch (error) {
+        if (!(error instanceof SecondChanceError)) throw error;
+        this.logger.info('No second-chance offer made', { auctionId: order.auction_id, reason: error.message });
+      }
+    }
+
+    return expired.length;
+  }
+
+  // Highest remaining bidder (at their own top bid), skipping anyone who
+  // already let an order on this auction lapse
+  async nextBidder(auctionId, client = null) {
+    const db = client || { query };
+    const { rows: [candidate] } = await db.query(`
+      SELECT b.user_id, MAX(b.amount) as amount
+      FROM bids b
+      WHERE b.auction_id = $1
+        AND b.voided_at IS NULL
+        AND b.user_id NOT IN (
+          SELECT user_id FROM orders WHERE auction_id = $1 AND status = 'expired'
+        )
+      GROUP BY b.user_id
+      ORDER BY MAX(b.amount) DESC, MIN(b.created_at) ASC
+      LIMIT 1
+    `, [auctionId]);
+    return candidate || null;
+  }
+
+  // Offer an ended auction whose winner didn't pay to the next-highest bidder
+  // at their last bid, with a fresh payment deadline
+  async offer(auctionId, { offeredBy = 'admin' } = {}) {
+    const outcome = await transaction(async (client) => {
+      const { rows: [auction] } = await client.query('SELECT * FROM auctions WHERE id = $1 FOR UPDATE', [auctionId]);
+      if (!auction) throw new SecondChanceError('Auction not found', 404);
+      if (auction.status !== 'ended' || auction.end_reason !== 'sold') {
+        throw new SecondChanceError('Only sold auctions can be offered to another bidder');
+      }
+
+      const { rows: [activeOrder] } = await client.query(
+        "SELECT id, status FROM orders WHERE auction_id = $1 AND status IN ('pending', 'paid') LIMIT 1",
+        [auctionId]
+      );
+      if (activeOrder) {
+        throw new SecondChanceError(activeOrder.status === 'paid'
+          ? 'This auction has already been paid for'
+          : 'The current buyer still has time to pay');
+      }
+
+      const candidate = await this.nextBidder(auctionId, client);
+      if (!candidate) throw new SecondChanceError('There are no other bidders to offer this auction to');
+      if (auction.reserve_price && candidate.amount < auction.reserve_price) {
+        throw new SecondChanceError(`The next bid ($${candidate.amount}) is below the reserve price`);
+      }
+
+      const now = dayjs();
+      const paymentDueAt = now.add(this.paymentWindowHours, 'hour');
+      await client.query(`
+        UPDATE auctions SET winner_user_id = $1, current_bid_user_id = $1, current_bid = $2 WHERE id = $3
+      `, [candidate.user_id, candidate.amount, auctionId]);
+
+      const { rows: [order] } = await client.query(`
+        INSERT INTO orders (auction_id, product_id, user_id, amount, order_type, status, payment_due_at, created_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id
+      `, [auctionId, auction.product_id, candidate.user_id, candidate.amount, 'second_chance', 'pending', paymentDueAt.toISOString(), now.toISOString()]);
+
+      return { auction, userId: candidate.user_id, amount: candidate.amount, orderId: order.id, paymentDueAt };
+    });
+
+    this.logger.info('Second-chance offer made', {
+      auctionId,
+      offeredBy,
+      userId: outcome.userId,
+      amount: outcome.amount,
+      orderId: outcome.orderId
+    });
+
+    if (this.notificationService) {
+      const product = await prepare('SELECT brand, name FROM products WHERE id = $1').get([outcome.auction.product_id]);
+      const productName = product ? `${product.brand} ${product.name}` : 'this item';
+      await this.notificationService.notify(outcome.userId, {
+        type: 'second_chance_offer',
+        title: `Second chance on auction #${auctionId}`,
+        message: `The winner of ${productName} didn't complete payment, so it's yours for your bid of $${outcome.amount}. Pay by ${outcome.paymentDueAt.format('MMM D, YYYY h:mm A')} to claim it.`,
+        link: `/auction/${auctionId}`
+      });
+    }
+
+    return outcome;
+  }
+}
+
+export default SecondChanceService;
@@ -0,0 +1,185 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query } from '../database.js';
+
+// Error raised when a size can't be saved or sold (carries an HTTP status)
+export class VariantError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VariantError';
+    this.status = status;
+  }
+}
+
+// Numeric sizes in numeric order (9, 9.5, 10), then the rest alphabetically
+const SIZE_ORDER = "CASE WHEN size ~ '^[0-9]+(\\.[0-9]+)?$' THEN size::numeric END NULLS LAST, size";
+
+// A variant can be sold while it's marked available and has stock
+export function inStock(variant) {
+  return !!variant && !!variant.is_available && variant.quantity > 0;
+}
+
+// Sizes of a product. Each variant has its own stock and, optionally, its own
+// Buy It Now price (falling back to the product's). A product with variants
+// keeps products.size as a summary of the sizes in stock, and is marked sold
+// once every size has sold out.
+class VariantService {
+  constructor(logger) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+  }
+
+  async forProduct(productId, client = null) {
+    const db = client || { query };
+    const { rows } = await db.query(`SELECT * FROM product_variants WHERE product_id = $1 ORDER BY ${SIZE_ORDER}`, [productId]);
+    return rows;
+  }
+
+  // Stock, price and availability fields from a form or CSV row
+  parseFields(fields, { requireSize = true } = {}) {
+    const parsed = {};
+    if (requireSize) {
+      parsed.size = String(fields.size || '').trim();
+      if (!parsed.size) throw new VariantError('Size is required');
+      if (parsed.size.length > 50) throw new VariantError('Size must be 50 characters or fewer');
+    }
+
+    const quantity = fields.quantity === undefined || fields.quantity === '' ? 1 : Number(fields.quantity);
+    if (!Number.isInteger(quantity) || quantity < 0) throw new VariantError('Quantity must be a whole number of pairs');
+    parsed.quantity = quantity;
+
+    const price = fields.price === undefined || fields.price === null || fields.price === '' ? null : Number(fields.price);
+    if (price !== null && (!Number.isInteger(price) || price < 0)) throw new VariantError('Price must be a whole dollar amount');
+    parsed.price = price || null;
+
+    parsed.isAvailable = fields.is_available === undefined ? 1 : (fields.is_available && fields.is_available !== '0' ? 1 : 0);
+    return parsed;
+  }
+
+  async add(productId, fields) {
+    const variant = this.parseFields(fields);
+    const { rows: [created] } = await query(`
+      INSERT INTO product_variants (product_id, size, quantity, price, is_available, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (product_id, size) DO NOTHING
+      RETURNING *
+    `, [productId, variant.size, variant.quantity, variant.price, variant.isAvailable, dayjs().toISOString()]);
+    if (!created) throw new VariantError(`Size ${variant.size} already exists for this product`);
+
+    await this.syncProduct(productId);
+    this.logger.info('Size added', { productId, variantId: created.id, size: created.size, quantity: created.quantity });
+    return created;
+  }
+
+  // Insert a size or, if the product already has it, replace its stock and
+  // price. Used by CSV import, where a row describes one size.
+  async upsert(productId, fields, client = null) {
+    const db = client || { query };
+    const variant = this.parseFields(fields);
+    const { rows: [saved] } = await db.query(`
+      INSERT INTO product_variants (product_id, size, quantity, price, is_available, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (product_id, size) DO UPDATE SET quantity = EXCLUDED.quantity, price = EXCLUDED.price
+      RETURNING *
+    `, [productId, variant.size, variant.quantity, variant.price, variant.isAvailable, dayjs().toISOString()]);
+    await this.syncProduct(productId, client);
+    return saved;
+  }
+
+  async update(productId, variantId, fields) {
+    const variant = this.parseFields(fields, { requireSize: false });
+    const { rows: [updated] } = await query(`
+      UPDATE product_variants SET quantity = $1, price = $2, is_available = $3
+      WHERE id = $4 AND product_id = $5 RETURNING *
+    `, [variant.quantity, variant.price, variant.isAvailable, variantId, productId]);
+    if (!updated) throw new VariantError('Size not found', 404);
+
+    await this.syncProduct(productId);
+    this.logger.info('Size updated', { productId, variantId, quantity: updated.quantity, price: updated.price, available: !!updated.is_available });
+    return updated;
+  }
+
+  async remove(productId, variantId) {
+    const { rows: [auction] } = await query(
+      "SELECT id FROM auctions WHERE variant_id = $1 AND status IN ('open', 'scheduled') LIMIT 1", [variantId]
+    );
+    if (auction) throw new VariantError(`This size is up in auction #${auction.id}; end the auction first`);
+
+    const result = await query('DELETE FROM product_variants WHERE id = $1 AND product_id = $2', [variantId, productId]);
+    if (result.rowCount === 0) throw new VariantError('Size not found', 404);
+
+    await this.syncProduct(productId);
+    this.logger.info('Size removed', { productId, variantId });
+  }
+
+  // The size a Buy It Now or auction is for. Products without sizes sell as a
+  // whole (null). Otherwise the requested size must be in stock; with no size
+  // requested, the product's only size in stock is used.
+  async resolve(productId, variantId, client = null) {
+    const variants = await this.forProduct(productId, client);
+    if (variants.length === 0) return null;
+
+    if (variantId) {
+      const variant = variants.find(v => v.id === Number(variantId));
+      if (!variant) throw new VariantError('Size not found', 404);
+      if (!inStock(variant)) throw new VariantError(`Size ${variant.size} is sold out`);
+      return variant;
+    }
+
+    const available = variants.filter(inStock);
+    if (available.length === 1) return available[0];
+    throw new VariantError(available.length === 0 ? 'Every size of this item is sold out' : 'Choose a size');
+  }
+
+  // One pair of a size has sold
+  async sellOne(variantId, client = null) {
+    const db = client || { query };
+    const { rows: [variant] } = await db.query(`
+      UPDATE product_variants SET quantity = GREATEST(quantity - 1, 0) WHERE id = $1 RETURNING *
+    `, [variantId]);
+    if (!variant) return null;
+
+    await this.syncProduct(variant.product_id, client);
+    this.logger.info('Size sold', { productId: variant.product_id, variantId, size: variant.size, remaining: variant.quantity });
+    return variant;
+  }
+
+  // Refresh a product's size summary, and its sold status from its stock:
+  // sold once every size is down to zero, available again when one is restocked
+  async syncProduct(productId, client = null) {
+    const db = client || { query };
+    const variants = await this.forProduct(productId, client);
+    if (variants.length === 0) {
+      await db.query('UPDATE products SET size = NULL WHERE id = $1', [productId]);
+      return;
+    }
+
+    // products.size holds 50 characters, so a long run of sizes is cut short
+    let summary = '';
+    for (const variant of variants.filter(inStock)) {
+      const next = summary ? `${summary}, ${variant.size}` : variant.size;
+      if (next.length > 50) break;
+      summary = next;
+    }
+    if (variants.every(v => v.quantity === 0)) {
+      await db.query(`
+        UPDATE products SET size = $1,
+          status = 'sold', is_available = 0, sold_at = COALESCE(sold_at, $2)
+        WHERE id = $3
+      `, [summary || null, dayjs().toISOString(), productId]);
+    } else {
+      await db.query(`
+        UPDATE products SET size = $1,
+          status = CASE WHEN status = 'sold' THEN 'available' ELSE status END,
+          is_available = CASE WHEN status = 'sold' THEN 1 ELSE is_available END,
+          sold_at = CASE WHEN status = 'sold' THEN NULL ELSE sold_at END
+        WHERE id = $2
+      `, [summary || null, productId]);
+    }
+  }
+}
+
+export default VariantService;
@@ -0,0 +1,87 @@
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, prepare } from '../database.js';
+
+class WatchlistService {
+  constructor(logger, notificationService, options = {}) {
+    this.logger = logger || winston.createLogger({
+      level: 'info',
+      format: winston.format.json(),
+      transports: [new winston.transports.Console()]
+    });
+
+    this.notificationService = notificationService;
+    this.endingSoonMinutes = options.endingSoonMinutes || Number(process.env.WATCHLIST_ENDING_SOON_MINUTES || 60);
+  }
+
+  // Add the auction to the user's watchlist, or remove it if already there.
+  // Returns whether the user is watching afterwards.
+  async toggle(userId, auctionId) {
+    const removed = await query('DELETE FROM watchlist WHERE user_id = $1 AND auction_id = $2', [userId, auctionId]);
+    if (removed.rowCount > 0) return false;
+
+    await query(`
+      INSERT INTO watchlist (user_id, auction_id, created_at)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (user_id, auction_id) DO NOTHING
+    `, [userId, auctionId, dayjs().toISOString()]);
+    return true;
+  }
+
+  async isWatching(userId, auctionId) {
+    const row = await prepare('SELECT id FROM watchlist WHERE user_id = $1 AND auction_id = $2').get([userId, auctionId]);
+    return !!row;
+  }
+
+  // Ids of the auctions a user watches (for marking cards in a grid)
+  async watchedAuctionIds(userId) {
+    const rows = await prepare('SELECT auction_id FROM watchlist WHERE user_id = $1').all([userId]);
+    return rows.map(r => r.auction_id);
+  }
+
+  async listForUser(userId) {
+    return prepare(`
+      SELECT a.*, p.name as product_name, p.brand, p.image_url, w.created_at as watched_at
+      FROM watchlist w
+      JOIN auctions a ON a.id = w.auction_id
+      JOIN products p ON p.id = a.product_id
+      WHERE w.user_id = $1
+      ORDER BY CASE a.status WHEN 'open' THEN 0 WHEN 'scheduled' THEN 1 ELSE 2 END, a.end_time ASC
+    `).all([userId]);
+  }
+
+  // Remind watchers once when an open auction enters its final stretch
+  async notifyEndingSoon() {
+    const now = dayjs();
+    const { rows: due } = await query(`
+      UPDATE watchlist w
+      SET ending_soon_notified_at = $1
+      FROM auctions a
+      WHERE a.id = w.auction_id
+        AND a.status = 'open'
+        AND a.end_time <= $2
+        AND w.ending_soon_notified_at IS NULL
+      RETURNING w.user_id, w.auction_id, a.end_time, a.product_id
+    `, [now.toISOString(), now.add(this.endingSoonMinutes, 'minute').toISOString()]);
+
+    for (const watch of due) {
+      const product = await prepare('SELECT brand, name FROM products WHERE id = $1').get([watch.product_id]);
+      const productName = product ? `${product.brand} ${product.name}` : 'An auction you watch';
+      const minutesLeft = Math.max(1, Math.ceil(dayjs(watch.end_time).diff(now, 'minute', true)));
+
+      await this.notificationService.notify(watch.user_id, {
+        type: 'auction_ending_soon',
+        title: `Auction #${watch.auction_id} is ending soon`,
+        message: `${productName} closes in about ${minutesLeft} minute${minutesLeft === 1 ? '' : 's'}. Place your bid before it's gone.`,
+        link: `/auction/${watch.auction_id}`
+      });
+    }
+
+    if (due.length > 0) {
+      this.logger.info('Sent ending-soon reminders', { count: due.length });
+    }
+    return due.length;
+  }
+}
+
+export default WatchlistService;
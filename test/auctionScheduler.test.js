@@ -0,0 +1,100 @@
+// Closing auctions against a real Postgres (configured through the usual
+// DB_* / DATABASE_URL variables): the winner has to be the leader the proxy
+// engine recorded, whatever order the bid rows went in.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, initializeTables, closeConnection } from '../database.js';
+import BiddingService, { BidError, DEFAULT_BID_INCREMENTS } from '../services/biddingService.js';
+import AuctionScheduler from '../services/auctionScheduler.js';
+
+const logger = winston.createLogger({ silent: true });
+const biddingService = new BiddingService(logger);
+const scheduler = new AuctionScheduler(logger, null);
+const runId = `${Date.now()}-${process.pid}`;
+let productId;
+let userIds = [];
+const auctionIds = [];
+
+before(async () => {
+  await initializeTables();
+
+  const { rows: [product] } = await query(
+    'INSERT INTO products (brand, name) VALUES ($1, $2) RETURNING id',
+    ['Nike', `Auction close test ${runId}`]
+  );
+  productId = product.id;
+
+  for (let i = 0; i < 2; i++) {
+    const { rows: [user] } = await query(
+      'INSERT INTO users (email, password_hash, name) VALUES ($1, $2, $3) RETURNING id',
+      [`close-test-${runId}-${i}@example.com`, 'not-a-real-hash', `Bidder ${i}`]
+    );
+    userIds.push(user.id);
+  }
+});
+
+after(async () => {
+  if (auctionIds.length > 0) {
+    await query('DELETE FROM orders WHERE auction_id = ANY($1)', [auctionIds]);
+    await query('DELETE FROM bids WHERE auction_id = ANY($1)', [auctionIds]);
+    await query('DELETE FROM max_bids WHERE auction_id = ANY($1)', [auctionIds]);
+    await query('DELETE FROM auctions WHERE id = ANY($1)', [auctionIds]);
+  }
+  if (productId) await query('DELETE FROM products WHERE id = $1', [productId]);
+  if (userIds.length > 0) await query('DELETE FROM users WHERE id = ANY($1)', [userIds]);
+  await closeConnection();
+});
+
+async function createAuction(startingBid) {
+  const now = dayjs();
+  const { rows: [auction] } = await query(`
+    INSERT INTO auctions (product_id, start_time, end_time, starting_bid, status, bid_increments, soft_close_minutes)
+    VALUES ($1, $2, $3, $4, 'open', $5, 0) RETURNING id
+  `, [productId, now.subtract(1, 'minute').toISOString(), now.add(1, 'day').toISOString(), startingBid,
+    JSON.stringify(DEFAULT_BID_INCREMENTS)]);
+  auctionIds.push(auction.id);
+  return auction.id;
+}
+
+async function winnerOf(auctionId) {
+  const { rows: [auction] } = await query('SELECT winner_user_id, current_bid FROM auctions WHERE id = $1', [auctionId]);
+  const { rows: [order] } = await query('SELECT user_id, amount FROM orders WHERE auction_id = $1', [auctionId]);
+  return { auction, order };
+}
+
+test('a challenger matching the leader\'s maximum does not win the auction', async () => {
+  const auctionId = await createAuction(100);
+  const [leader, challenger] = userIds;
+  await biddingService.placeBid(auctionId, leader, 200);
+  await assert.rejects(biddingService.placeBid(auctionId, challenger, 200), BidError);
+  await biddingService.placeBid(auctionId, challenger, 150);
+
+  const outcome = await scheduler.closeAuction(auctionId, { endedBy: 'test' });
+  assert.equal(outcome.winnerId, leader);
+
+  const { auction, order } = await winnerOf(auctionId);
+  assert.equal(auction.winner_user_id, leader);
+  assert.equal(order.user_id, leader);
+  assert.equal(order.amount, auction.current_bid);
+});
+
+test('a tie left in the bid history still goes to the recorded leader', async () => {
+  const auctionId = await createAuction(100);
+  const [leader, challenger] = userIds;
+
+  // Histories written before ties were refused: the challenger's row at the
+  // top amount went in before the leader's proxy row
+  const at = dayjs().toISOString();
+  await query(`
+    INSERT INTO bids (auction_id, user_id, amount, is_proxy, created_at)
+    VALUES ($1, $2, 150, 0, $4), ($1, $3, 200, 0, $4), ($1, $2, 200, 1, $4)
+  `, [auctionId, leader, challenger, at]);
+  await query('UPDATE auctions SET current_bid = 200, current_bid_user_id = $1 WHERE id = $2', [leader, auctionId]);
+
+  const outcome = await scheduler.closeAuction(auctionId, { endedBy: 'test' });
+  assert.equal(outcome.winnerId, leader);
+  assert.equal(outcome.amount, 200);
+  assert.equal((await winnerOf(auctionId)).order.user_id, leader);
+});
@@ -0,0 +1,157 @@
+// Concurrency tests for bid placement. These run against a real Postgres
+// (configured through the usual DB_* / DATABASE_URL variables) because the
+// behaviour under test is the row lock taken by placeBid().
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import dayjs from 'dayjs';
+import winston from 'winston';
+import { query, initializeTables, closeConnection } from '../database.js';
+import BiddingService, { BidError, DEFAULT_BID_INCREMENTS, incrementFor } from '../services/biddingService.js';
+
+const BIDDERS = 8;
+
+const biddingService = new BiddingService(winston.createLogger({ silent: true }));
+const runId = `${Date.now()}-${process.pid}`;
+let productId;
+let userIds = [];
+const auctionIds = [];
+
+before(async () => {
+  await initializeTables();
+
+  const { rows: [product] } = await query(
+    'INSERT INTO products (brand, name) VALUES ($1, $2) RETURNING id',
+    ['Nike', `Bid concurrency test ${runId}`]
+  );
+  productId = product.id;
+
+  for (let i = 0; i < BIDDERS; i++) {
+    const { rows: [user] } = await query(
+      'INSERT INTO users (email, password_hash, name) VALUES ($1, $2, $3) RETURNING id',
+      [`bid-test-${runId}-${i}@example.com`, 'not-a-real-hash', `Bidder ${i}`]
+    );
+    userIds.push(user.id);
+  }
+});
+
+after(async () => {
+  if (auctionIds.length > 0) {
+    await query('DELETE FROM bids WHERE auction_id = ANY($1)', [auctionIds]);
+    await query('DELETE FROM max_bids WHERE auction_id = ANY($1)', [auctionIds]);
+    await query('DELETE FROM auctions WHERE id = ANY($1)', [auctionIds]);
+  }
+  if (productId) await query('DELETE FROM products WHERE id = $1', [productId]);
+  if (userIds.length > 0) await query('DELETE FROM users WHERE id = ANY($1)', [userIds]);
+  await closeConnection();
+});
+
+// An open auction with its own increment table, so site settings don't matter
+async function createAuction(startingBid) {
+  const now = dayjs();
+  const { rows: [auction] } = await query(`
+    INSERT INTO auctions (product_id, start_time, end_time, starting_bid, status, bid_increments, soft_close_minutes)
+    VALUES ($1, $2, $3, $4, 'open', $5, 0) RETURNING id
+  `, [productId, now.subtract(1, 'minute').toISOString(), now.add(1, 'day').toISOString(), startingBid,
+    JSON.stringify(DEFAULT_BID_INCREMENTS)]);
+  auctionIds.push(auction.id);
+  return auction.id;
+}
+
+// Fire every bid at once and wait for all of them to settle
+async function bidAtOnce(auctionId, bids) {
+  const settled = await Promise.allSettled(
+    bids.map(({ userId, amount }) => biddingService.placeBid(auctionId, userId, amount))
+  );
+  for (const result of settled) {
+    if (result.status === 'rejected') assert.ok(result.reason instanceof BidError, result.reason.stack);
+  }
+  return settled.map((result, i) => ({ ...bids[i], ...result }));
+}
+
+async function loadAuction(auctionId) {
+  const { rows: [auction] } = await query('SELECT * FROM auctions WHERE id = $1', [auctionId]);
+  const { rows: bids } = await query(
+    'SELECT * FROM bids WHERE auction_id = $1 ORDER BY amount DESC, id DESC', [auctionId]);
+  const { rows: maxBids } = await query('SELECT * FROM max_bids WHERE auction_id = $1', [auctionId]);
+  return { auction, bids, maxBids };
+}
+
+test('parallel bids at the same price leave exactly one leader', async () => {
+  const auctionId = await createAuction(100);
+  const results = await bidAtOnce(auctionId, userIds.map(userId => ({ userId, amount: 200 })));
+
+  const leaders = results.filter(r => r.status === 'fulfilled' && r.value.leading);
+  assert.equal(leaders.length, 1, 'one bidder leads with a $200 maximum');
+
+  // The first maximum in holds the tie; everyone after it is turned away
+  const accepted = results.filter(r => r.status === 'fulfilled');
+  assert.equal(accepted.length, 1);
+  for (const rejected of results.filter(r => r.status === 'rejected')) {
+    assert.match(rejected.reason.message, /ties go to the earlier bid|Minimum next bid/);
+  }
+
+  const { auction, bids } = await loadAuction(auctionId);
+  assert.equal(auction.current_bid_user_id, leaders[0].userId);
+  assert.equal(auction.current_bid, 100 + incrementFor(DEFAULT_BID_INCREMENTS, 100), 'nobody pushed the leader off the opening price');
+  assert.equal(bids[0].user_id, leaders[0].userId, 'the top visible bid belongs to the leader');
+  assert.equal(bids[0].amount, auction.current_bid);
+});
+
+test('parallel bids with different maximums settle on the highest without lost updates', async () => {
+  const auctionId = await createAuction(100);
+  const bids = userIds.map((userId, i) => ({ userId, amount: 150 + i * 100 }));
+  const results = await bidAtOnce(auctionId, bids);
+
+  const accepted = results.filter(r => r.status === 'fulfilled');
+  const top = bids[bids.length - 1];
+  assert.ok(accepted.some(r => r.userId === top.userId), 'the highest maximum is always accepted');
+
+  // The price is one increment over the runner-up's maximum, capped at the top maximum
+  const runnerUp = Math.max(...accepted.filter(r => r.userId !== top.userId).map(r => r.amount), 0);
+  const expectedPrice = runnerUp > 0
+    ? Math.min(top.amount, runnerUp + incrementFor(DEFAULT_BID_INCREMENTS, runnerUp))
+    : 100 + incrementFor(DEFAULT_BID_INCREMENTS, 100);
+
+  const { auction, bids: history, maxBids } = await loadAuction(auctionId);
+  assert.equal(auction.current_bid_user_id, top.userId);
+  assert.equal(auction.current_bid, expectedPrice);
+
+  // Every accepted bid left its maximum and its visible bids behind
+  assert.equal(maxBids.length, accepted.length);
+  for (const r of accepted) {
+    assert.equal(maxBids.find(m => m.user_id === r.userId)?.max_amount, r.amount);
+  }
+  assert.equal(history.length, accepted.reduce((sum, r) => sum + r.value.placedCount, 0));
+  assert.equal(history[0].user_id, top.userId);
+  assert.equal(history[0].amount, auction.current_bid);
+});
+
+test('repeated rounds of parallel bids keep the price rising', async () => {
+  const auctionId = await createAuction(100);
+  let previousBid = 0;
+
+  for (let round = 1; round <= 3; round++) {
+    const results = await bidAtOnce(auctionId, userIds.map((userId, i) => ({ userId, amount: round * 1000 + i * 100 })));
+    const { auction, bids } = await loadAuction(auctionId);
+    const top = results[results.length - 1];
+
+    assert.equal(top.status, 'fulfilled');
+    assert.equal(auction.current_bid_user_id, top.userId);
+    assert.ok(auction.current_bid > previousBid, `round ${round} raised the price`);
+    assert.equal(bids[0].amount, auction.current_bid);
+    previousBid = auction.current_bid;
+  }
+});
+
+test('a bid matching the leader\'s maximum is refused and the leader keeps the top bid', async () => {
+  const auctionId = await createAuction(100);
+  const [leader, challenger] = userIds;
+  await biddingService.placeBid(auctionId, leader, 200);
+
+  await assert.rejects(biddingService.placeBid(auctionId, challenger, 200), /ties go to the earlier bid/);
+
+  const { auction, bids, maxBids } = await loadAuction(auctionId);
+  assert.equal(auction.current_bid_user_id, leader);
+  assert.ok(bids.every(b => b.user_id === leader), 'the refused bid left nothing in the history');
+  assert.deepEqual(maxBids.map(m => m.user_id), [leader]);
+});